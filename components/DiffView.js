@@ -0,0 +1,18 @@
+import { useMemo } from 'react';
+import { diffLines } from '../lib/diff';
+
+const PREFIX = { equal: ' ', add: '+', remove: '-' };
+
+export default function DiffView({ original, proposed }) {
+  const lines = useMemo(() => diffLines(original, proposed), [original, proposed]);
+
+  return (
+    <pre className="diff-view">
+      {lines.map((line, index) => (
+        <div key={index} className={`diff-line ${line.type}`}>
+          {PREFIX[line.type]} {line.text}
+        </div>
+      ))}
+    </pre>
+  );
+}
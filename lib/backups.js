@@ -0,0 +1,62 @@
+import { randomBytes } from 'crypto';
+import { writeRecord, readRecord, listRecords, listCollections } from './storage';
+import { resourceKey } from './shopify/resources';
+
+export function createRunId() {
+  const stamp = new Date().toISOString().replace(/[-:.TZ]/g, '');
+  return `${stamp}-${randomBytes(3).toString('hex')}`;
+}
+
+export async function saveBackup({
+  store,
+  runId,
+  resourceType,
+  sourceId,
+  resource,
+  content = true,
+  metafields = [],
+  handle = null
+}) {
+  const key = ['backups', store, runId, resourceKey(resourceType, resource.id)];
+
+  // A resumed job may revisit an item it already changed; keep the first copy.
+  const existing = await readRecord(key);
+  if (existing) return existing;
+
+  const backup = {
+    store,
+    runId,
+    key: resourceKey(resourceType, resource.id),
+    resourceType,
+    sourceId,
+    resourceId: resource.id,
+    title: resource.title,
+    body_html: content ? resource.body_html : null,
+    metafields,
+    handle,
+    savedAt: new Date().toISOString()
+  };
+
+  await writeRecord(key, backup);
+  return backup;
+}
+
+export async function loadBackups(store, runId) {
+  const keys = await listRecords(['backups', store, runId]);
+  const backups = await Promise.all(keys.map(key => readRecord(['backups', store, runId, key])));
+  return backups.filter(Boolean);
+}
+
+export async function listRuns(store) {
+  const runIds = await listCollections(['backups', store]);
+  const runs = await Promise.all(runIds.map(async (runId) => {
+    const backups = await loadBackups(store, runId);
+    return {
+      runId,
+      createdAt: backups.reduce((earliest, b) => (!earliest || b.savedAt < earliest ? b.savedAt : earliest), null),
+      items: backups.map(({ key, resourceType, title, savedAt }) => ({ key, resourceType, title, savedAt }))
+    };
+  }));
+
+  return runs.sort((a, b) => b.runId.localeCompare(a.runId));
+}
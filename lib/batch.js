@@ -0,0 +1,62 @@
+// Helpers for auditing several stores in one go. They run in the browser, so
+// store URLs are only tidied here; the API routes still validate them.
+
+const HEADER = /^store(\s*url)?$/i;
+
+const tidyStore = (value) => value.trim().toLowerCase().replace(/^https?:\/\//, '').replace(/\/.*$/, '');
+
+// One store per line, optionally followed by its token, separated by a comma,
+// tab or spaces. Blank lines, "#" comments and a "store,token" header are ignored.
+// Stores without a token rely on a connected (OAuth) session.
+export function parseStoreList(text) {
+  const stores = [];
+  const errors = [];
+
+  String(text || '').split(/\r?\n/).forEach((raw, index) => {
+    const line = raw.trim();
+    if (!line || line.startsWith('#')) return;
+
+    const [first, token = '', ...extra] = line.split(/\s*[,\t]\s*|\s+/).map(cell => cell.replace(/^"|"$/g, ''));
+    if (HEADER.test(first)) return;
+
+    const store = tidyStore(first);
+    if (!store.includes('.') || extra.some(Boolean)) {
+      errors.push(`Line ${index + 1}: expected "store, token" but got "${line}"`);
+      return;
+    }
+    if (stores.some(entry => entry.store === store)) {
+      errors.push(`Line ${index + 1}: ${store} is listed more than once`);
+      return;
+    }
+
+    stores.push({ store, token });
+  });
+
+  return { stores, errors };
+}
+
+const sum = (values) => values.reduce((total, value) => total + (value || 0), 0);
+
+// Adds up per-store results into one report shaped like a single run's, with
+// every item tagged with its store. Failed and skipped stores add nothing.
+export function combineResults(entries, mode) {
+  const finished = entries.filter(entry => entry.results);
+  const results = finished.map(entry => entry.results);
+
+  return {
+    mode,
+    stores: entries.length,
+    completedStores: finished.length,
+    failedStores: entries.filter(entry => entry.status === 'failed').length,
+    totalProcessed: sum(results.map(result => result.totalProcessed)),
+    issuesFound: sum(results.map(result => result.issuesFound)),
+    fixed: sum(results.map(result => result.fixed)),
+    ...(mode === 'fix' && {
+      verified: Object.fromEntries(
+        ['attempted', 'fixed', 'partiallyFixed', 'unchanged', 'unverified', 'failed']
+          .map(key => [key, sum(results.map(result => result.verified?.[key]))])
+      )
+    }),
+    items: finished.flatMap(entry => entry.results.items.map(item => ({ ...item, store: entry.store })))
+  };
+}
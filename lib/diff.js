@@ -0,0 +1,78 @@
+const MAX_CELLS = 4000000;
+
+export function splitHtmlLines(html) {
+  return (html || '')
+    .replace(/>\s*</g, '>\n<')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean);
+}
+
+export function diffLines(before, after) {
+  const a = splitHtmlLines(before);
+  const b = splitHtmlLines(after);
+
+  if (a.length * b.length > MAX_CELLS) {
+    return [
+      ...a.map(text => ({ type: 'remove', text })),
+      ...b.map(text => ({ type: 'add', text }))
+    ];
+  }
+
+  const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j]
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const result = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      result.push({ type: 'equal', text: a[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      result.push({ type: 'remove', text: a[i++] });
+    } else {
+      result.push({ type: 'add', text: b[j++] });
+    }
+  }
+  while (i < a.length) result.push({ type: 'remove', text: a[i++] });
+  while (j < b.length) result.push({ type: 'add', text: b[j++] });
+
+  return result;
+}
+
+// 53-bit string hash (cyrb53). It only has to tell two versions of a change
+// apart, and unlike SubtleCrypto it also works on pages served over plain HTTP.
+const hashText = (text) => {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i);
+    h1 = Math.imul(h1 ^ code, 2654435761);
+    h2 = Math.imul(h2 ^ code, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+};
+
+// Computed for a dry-run preview in the browser and again for the change a fix
+// job is about to write, so "Apply selected" only writes what was approved.
+export function fingerprintChange({ content = null, metafields = [], handle = null }) {
+  return hashText(JSON.stringify([content, metafields.map(({ key, value }) => [key, value]), handle || null]));
+}
+
+export function previewFingerprint(item) {
+  return fingerprintChange({
+    content: item.preview.proposed,
+    metafields: (item.preview.metafields || []).map(({ key, to }) => ({ key, value: to })),
+    handle: item.handleChange?.to
+  });
+}
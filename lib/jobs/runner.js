@@ -0,0 +1,880 @@
+import { createHash, randomBytes, randomUUID, timingSafeEqual } from 'crypto';
+import { createRunId, saveBackup } from '../backups';
+import { fetchPage } from '../shopify/pagination';
+import { createShopifyClient, logDeprecations, resolveApiVersion, responseError } from '../shopify/client';
+import { DEFAULT_RESOURCE_TYPES, getResource, resourceKey } from '../shopify/resources';
+import { fetchSeoMetafields, writeMetafield } from '../shopify/metafields';
+import { startLinkIndex, continueLinkIndex, countLinkTargets, prepareLinkIndex } from '../shopify/linkIndex';
+import { createRedirect } from '../shopify/redirects';
+import { startBulkQuery, waitForBulkOperation, readJsonl, toGid } from '../shopify/graphql';
+import { bulkQuery, fromNode, fetchNodes, updateResources, setMetafields, seoMetafieldNames } from '../shopify/bulk';
+import {
+  analyzeArticle,
+  fixArticle,
+  collectSignals,
+  applyStoreRules,
+  rulesNeed,
+  countIssues,
+  hasIssues
+} from '../seo/analyzer';
+import { selectRules } from '../seo/rules';
+import { DEFAULT_SIMILARITY_THRESHOLD } from '../seo/rules/duplicates';
+import { measureContent, DEFAULT_THIN_CONTENT_WORDS } from '../seo/metrics';
+import { fingerprintChange } from '../diff';
+import { focusKeywordOf, DEFAULT_KEYWORD_TAG_PREFIX, DEFAULT_KEYWORD_METAFIELD } from '../seo/keywords';
+
+const JOB_PAGE_SIZE = 50;
+const LINK_INDEX_ATTACHMENT = 'link-index';
+const RESULTS_ATTACHMENT = 'results';
+const itemPageAttachment = (page) => `items-${page}`;
+// Items handled between deadline checks. A REST fix costs about five Admin calls
+// per item (read, write, re-read and metafields), a couple of seconds at
+// Shopify's leak rate, so a whole page would run far past the chunk budget.
+const SCAN_STEP_SIZE = 10;
+const REST_FIX_STEP_SIZE = 2;
+const BULK_FIX_STEP_SIZE = 10;
+export const CHUNK_BUDGET_MS = Number(process.env.JOB_CHUNK_MS) || 25000;
+
+// The job id shows up in URLs and logs, so results and further chunks also need
+// the secret handed out when the job was created. Only its hash is stored.
+export function createJobSecret() {
+  return randomBytes(24).toString('base64url');
+}
+
+const hashSecret = (secret) => createHash('sha256').update(String(secret)).digest();
+
+export function ownsJob(job, secret) {
+  if (!job.secretHash || !secret) return false;
+  const expected = Buffer.from(job.secretHash, 'base64url');
+  const actual = hashSecret(secret);
+  return expected.length === actual.length && timingSafeEqual(expected, actual);
+}
+
+export function createJob({
+  secret,
+  store,
+  mode,
+  limit = 10,
+  resourceTypes,
+  resourceKeys,
+  approvedChanges,
+  rules,
+  fixRules,
+  similarityThreshold,
+  thinContentWords,
+  keywordTagPrefix,
+  keywordMetafield,
+  bulk = false,
+  apiVersion
+}) {
+  const now = new Date().toISOString();
+  const types = resourceTypes && resourceTypes.length > 0 ? resourceTypes : DEFAULT_RESOURCE_TYPES;
+  types.forEach(getResource);
+
+  const ruleIds = selectRules(rules).map(rule => rule.id);
+  // Opt-in fixes such as handle renames only run when asked for by name.
+  const fixRuleIds = (fixRules ? selectRules(fixRules) : selectRules(ruleIds).filter(rule => !rule.optIn))
+    .filter(rule => rule.fix)
+    .map(rule => rule.id);
+
+  return {
+    id: randomUUID(),
+    secretHash: secret ? hashSecret(secret).toString('base64url') : null,
+    status: 'pending',
+    store,
+    mode,
+    bulk: Boolean(bulk),
+    apiVersion: resolveApiVersion(apiVersion),
+    limit: Math.max(1, Number(limit) || 10),
+    resourceTypes: types,
+    resourceKeys: Array.isArray(resourceKeys) ? resourceKeys.map(String) : null,
+    // { key: fingerprint } of previews approved in the UI; other changes to those items are skipped.
+    approvedChanges: approvedChanges && typeof approvedChanges === 'object'
+      ? Object.fromEntries(Object.entries(approvedChanges).map(([key, value]) => [key, String(value)]))
+      : null,
+    rules: ruleIds,
+    fixRules: fixRuleIds,
+    options: {
+      similarityThreshold: Math.min(1, Math.max(0.5, Number(similarityThreshold) || DEFAULT_SIMILARITY_THRESHOLD)),
+      thinContentWords: Math.max(1, Number(thinContentWords) || DEFAULT_THIN_CONTENT_WORDS),
+      keywordTagPrefix: keywordTagPrefix || DEFAULT_KEYWORD_TAG_PREFIX,
+      keywordMetafield: keywordMetafield || DEFAULT_KEYWORD_METAFIELD
+    },
+    runId: mode === 'fix' ? createRunId() : null,
+    // linkIndex is null until the index is 'ready' or 'skipped'; the index itself is a job attachment.
+    cursor: { sources: null, sourceIndex: 0, nextUrl: null, pageOffset: 0, linkIndex: null },
+    // Processed items, previews included, are appended to the job's attachments a
+    // page at a time; the job itself only counts them.
+    processed: 0,
+    itemPages: 0,
+    leaseUntil: 0,
+    error: null,
+    createdAt: now,
+    updatedAt: now
+  };
+}
+
+export function summarizeJob(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    store: job.store,
+    mode: job.mode,
+    bulk: job.bulk,
+    apiVersion: job.apiVersion,
+    runId: job.runId,
+    resourceTypes: job.resourceTypes,
+    processed: job.processed,
+    limit: job.limit,
+    error: job.error,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt
+  };
+}
+
+const summarizeVerification = (items) => {
+  const written = items.filter(item => item.written);
+  const count = (status) => written.filter(item => item.status === status).length;
+
+  return {
+    attempted: written.length,
+    fixed: count('Fixed'),
+    partiallyFixed: count('Partially fixed'),
+    unchanged: count('Unchanged'),
+    unverified: count('Unverified'),
+    failed: count('Failed')
+  };
+};
+
+// Resolves with null until the job has completed.
+export async function loadResults(job, attachments) {
+  const stored = job.status === 'completed' ? await attachments.get(RESULTS_ATTACHMENT) : null;
+  return stored && buildResults(job, stored);
+}
+
+function buildResults(job, { items, groups }) {
+  return {
+    jobId: job.id,
+    mode: job.mode,
+    runId: job.runId,
+    resourceTypes: job.resourceTypes,
+    totalProcessed: items.length,
+    issuesFound: items.filter(item => hasIssues(item.issues)).length,
+    fixed: items.filter(item => item.fixed).length,
+    ...(job.mode === 'fix' && { verified: summarizeVerification(items) }),
+    groups,
+    items
+  };
+}
+
+export async function runJobChunk(job, { accessToken, deadline, sendUpdate, save, attachments }) {
+  const client = createShopifyClient({
+    store: job.store,
+    accessToken,
+    apiVersion: job.apiVersion,
+    onDeprecation: logDeprecations(sendUpdate)
+  });
+  const { cursor } = job;
+
+  if (!cursor.sources) {
+    cursor.sources = [];
+
+    if (job.bulk) {
+      // One bulk operation per resource type stands in for the per-source pages.
+      cursor.sources = job.resourceTypes.map(type => ({ type, operationId: null, finished: false, url: null, offset: 0 }));
+      sendUpdate({ log: '⚡ Reading content through GraphQL bulk operations', type: 'info' });
+    } else {
+      for (const type of job.resourceTypes) {
+        const resource = getResource(type);
+        sendUpdate({ log: `📚 Looking up ${resource.label.toLowerCase()}...`, type: 'info' });
+
+        const sources = await resource.discoverSources(client);
+        cursor.sources.push(...sources);
+      }
+
+      sendUpdate({ log: `Found ${cursor.sources.length} source(s) to scan`, type: 'success' });
+    }
+
+    if (job.runId) {
+      sendUpdate({ log: `💾 Backing up originals under run ${job.runId}`, type: 'info' });
+    }
+
+    await save(job);
+  }
+
+  // Renames check the index too, so they never pick a handle another item already has.
+  const needsLinkIndex = rulesNeed(job.rules, 'links') || rulesNeed(job.fixRules, 'handle');
+  if (needsLinkIndex && !cursor.linkIndex) {
+    if (!await indexLinks(job, client, { deadline, sendUpdate, save, attachments })) return false;
+  }
+  const linkState = cursor.linkIndex === 'ready' ? await attachments.get(LINK_INDEX_ATTACHMENT) : null;
+
+  const context = {
+    ...client,
+    store: job.store,
+    mode: job.mode,
+    runId: job.runId,
+    rules: job.rules,
+    fixRules: job.fixRules,
+    approvedChanges: job.approvedChanges || null,
+    options: job.options || {},
+    linkIndex: linkState && prepareLinkIndex(linkState.index),
+    claimedHandles: [],
+    writeChanges: job.bulk ? writeBatch : writeEach,
+    sendUpdate
+  };
+
+  const finished = job.bulk
+    ? await runBulkSources(job, context, { deadline, save, attachments })
+    : await runRestSources(job, context, { deadline, save, attachments });
+  if (context.claimedHandles.length > 0) {
+    context.claimedHandles.forEach(({ group, handle }) => linkState.index.handles[group].push(handle));
+    await attachments.put(LINK_INDEX_ATTACHMENT, linkState);
+  }
+  if (!finished) return false;
+
+  await finishStoreRules(job, { sendUpdate, attachments });
+  return true;
+}
+
+// Indexing a large store can take several chunks. The partial index is kept as
+// an attachment so it is not rewritten with every checkpoint of the job.
+async function indexLinks(job, client, { deadline, sendUpdate, save, attachments }) {
+  let state = await attachments.get(LINK_INDEX_ATTACHMENT);
+  if (!state) {
+    sendUpdate({ log: '🔗 Indexing store handles and redirects for the link checks...', type: 'info' });
+    state = startLinkIndex();
+  }
+
+  try {
+    const done = await continueLinkIndex(client, state, { deadline });
+    await attachments.put(LINK_INDEX_ATTACHMENT, state);
+    if (!done) {
+      sendUpdate({ log: `⏳ Indexed ${countLinkTargets(state.index)} link target(s) so far...`, type: 'info' });
+      return false;
+    }
+  } catch (error) {
+    sendUpdate({ log: `⚠️ Skipping link checks: ${error.message}`, type: 'warning' });
+    job.cursor.linkIndex = 'skipped';
+    await save(job);
+    return true;
+  }
+
+  state.index.unavailable.forEach(reason => {
+    sendUpdate({ log: `⚠️ Links not checked for ${reason}`, type: 'warning' });
+  });
+  sendUpdate({ log: `Indexed ${countLinkTargets(state.index)} link target(s)`, type: 'success' });
+
+  job.cursor.linkIndex = 'ready';
+  await save(job);
+  return true;
+}
+
+const stepSize = (job) => {
+  if (job.mode !== 'fix') return SCAN_STEP_SIZE;
+  return job.bulk ? BULK_FIX_STEP_SIZE : REST_FIX_STEP_SIZE;
+};
+
+const isWanted = (job, type, item) => !job.resourceKeys || job.resourceKeys.includes(resourceKey(type, item.id));
+
+// The page is written before the job is saved with the new count, so a chunk that
+// dies in between leaves a page the next one simply overwrites.
+async function appendItems(job, attachments, items) {
+  if (items.length === 0) return;
+  await attachments.put(itemPageAttachment(job.itemPages), items);
+  job.itemPages++;
+  job.processed += items.length;
+}
+
+async function loadItems(job, attachments) {
+  const pages = await Promise.all(
+    Array.from({ length: job.itemPages }, (_, page) => attachments.get(itemPageAttachment(page)))
+  );
+  return pages.flatMap(page => page || []);
+}
+
+async function runRestSources(job, context, { deadline, save, attachments }) {
+  const { sendUpdate } = context;
+  const { cursor } = job;
+  const pageSize = Math.min(JOB_PAGE_SIZE, job.limit);
+
+  while (cursor.sourceIndex < cursor.sources.length && job.processed < job.limit) {
+    if (Date.now() >= deadline) return false;
+
+    const source = cursor.sources[cursor.sourceIndex];
+    const resource = getResource(source.type);
+    if (!cursor.nextUrl) {
+      sendUpdate({ log: `\n📝 Processing ${resource.label.toLowerCase()}: ${source.title}`, type: 'info' });
+    }
+
+    // cursor.nextUrl stays on the current page until all of it is done; a
+    // resumed chunk fetches it again and skips the first pageOffset items.
+    const pageUrl = cursor.nextUrl || `${source.path}?limit=${pageSize}`;
+    let page;
+    try {
+      page = await fetchPage(context, pageUrl, resource.listKey);
+      if (!cursor.pageOffset) {
+        sendUpdate({ log: `Fetched ${page.items.length} item(s)`, type: 'info' });
+      }
+    } catch (error) {
+      sendUpdate({ log: `Failed to fetch ${resource.listKey} for ${source.title}: ${error.message}`, type: 'error' });
+      page = { items: [], nextUrl: null };
+    }
+
+    cursor.nextUrl = pageUrl;
+    while ((cursor.pageOffset || 0) < page.items.length && job.processed < job.limit) {
+      const start = cursor.pageOffset || 0;
+      const step = page.items.slice(start, start + stepSize(job));
+      const batch = step
+        .filter(item => isWanted(job, source.type, item))
+        .slice(0, job.limit - job.processed);
+
+      await appendItems(job, attachments, await processResources(context, batch.map(item => ({ source, item }))));
+      cursor.pageOffset = start + step.length;
+      await save(job);
+
+      if (cursor.pageOffset < page.items.length && Date.now() >= deadline) return false;
+    }
+
+    cursor.nextUrl = page.nextUrl;
+    cursor.pageOffset = 0;
+    if (!cursor.nextUrl) {
+      cursor.sourceIndex++;
+    }
+
+    await save(job);
+  }
+
+  return true;
+}
+
+const bulkMetafields = ({ rules, options }) =>
+  (rulesNeed(rules, 'metafields') ? seoMetafieldNames(extraMetafields(rules, options)) : null);
+
+// Shopify runs one bulk query per shop at a time, so resource types are exported in turn.
+// An export that outlives the chunk is polled again by the next one.
+async function runBulkSources(job, context, { deadline, save, attachments }) {
+  const { sendUpdate } = context;
+  const { cursor } = job;
+
+  while (cursor.sourceIndex < cursor.sources.length && job.processed < job.limit) {
+    if (Date.now() >= deadline) return false;
+
+    const step = cursor.sources[cursor.sourceIndex];
+    const resource = getResource(step.type);
+
+    if (!step.operationId) {
+      sendUpdate({ log: `\n⚡ Starting bulk export of ${resource.label.toLowerCase()}...`, type: 'info' });
+      const operation = await startBulkQuery(context, bulkQuery(step.type, bulkMetafields(context)));
+      step.operationId = operation.id;
+      await save(job);
+    }
+
+    if (!step.finished) {
+      let lastCount = null;
+      const operation = await waitForBulkOperation(context, step.operationId, {
+        deadline,
+        onProgress: ({ objectCount }) => {
+          if (objectCount === lastCount) return;
+          lastCount = objectCount;
+          sendUpdate({ log: `⏳ Exported ${objectCount} ${resource.label.toLowerCase()} so far...`, type: 'info' });
+        }
+      });
+      if (!operation) return false;
+
+      if (operation.status !== 'COMPLETED') {
+        const reason = operation.errorCode ? ` (${operation.errorCode})` : '';
+        sendUpdate({ log: `Bulk export of ${resource.label.toLowerCase()} ${operation.status.toLowerCase()}${reason}`, type: 'error' });
+        cursor.sourceIndex++;
+        await save(job);
+        continue;
+      }
+
+      step.finished = true;
+      step.url = operation.url;
+      sendUpdate({ log: `Exported ${operation.objectCount} item(s)`, type: 'success' });
+      await save(job);
+    }
+
+    if (step.url && !await processBulkResults(job, context, step, { deadline, save, attachments })) {
+      return false;
+    }
+
+    cursor.sourceIndex++;
+    await save(job);
+  }
+
+  return true;
+}
+
+// step.offset is the byte offset of the first line not yet handled, so a later
+// chunk downloads only the rest of the result file.
+async function processBulkResults(job, context, step, { deadline, save, attachments }) {
+  const metafields = bulkMetafields(context);
+  const pageSize = Math.min(stepSize(job), job.limit);
+  let position = step.offset;
+  let batch = [];
+
+  const flush = async () => {
+    await appendItems(job, attachments, await processResources(context, batch.slice(0, job.limit - job.processed)));
+    step.offset = position;
+    batch = [];
+    await save(job);
+  };
+
+  for await (const { node, end } of readJsonl(step.url, { start: step.offset })) {
+    position = end;
+    const entry = fromNode(step.type, node, metafields);
+    if (isWanted(job, step.type, entry.item)) {
+      batch.push(entry);
+    }
+
+    if (batch.length === pageSize) {
+      await flush();
+      if (job.processed >= job.limit) return true;
+      if (Date.now() >= deadline) return false;
+    }
+  }
+
+  step.offset = position;
+  if (batch.length > 0) await flush();
+  return true;
+}
+
+// Store-wide checks such as duplicate titles only make sense once every item is in.
+// The finished list is written once, as the results of the job.
+async function finishStoreRules(job, { sendUpdate, attachments }) {
+  const items = await loadItems(job, attachments);
+  const groups = applyStoreRules(items, { rules: job.rules, options: job.options });
+
+  items.forEach(item => {
+    if (item.status === 'No Issues' && hasIssues(item.issues)) {
+      item.status = 'Needs Review';
+      sendUpdate({
+        log: `🔁 Shared with other items: ${item.title.substring(0, 50)}...`,
+        type: 'warning'
+      });
+    }
+  });
+
+  await attachments.put(RESULTS_ATTACHMENT, { items, groups });
+}
+
+
+async function loadSeoMetafields(context, metafieldsPath, item, extra) {
+  try {
+    return await fetchSeoMetafields(context, metafieldsPath, { extra });
+  } catch (error) {
+    context.sendUpdate({
+      log: `⚠️ Could not load SEO fields for ${item.title.substring(0, 50)}...: ${error.message}`,
+      type: 'warning'
+    });
+    return null;
+  }
+}
+
+async function backupResource(context, source, item, { content, metafields, handle }) {
+  const { store, runId } = context;
+  const resource = getResource(source.type);
+
+  await saveBackup({
+    store,
+    runId,
+    resourceType: source.type,
+    sourceId: source.id,
+    resource: item,
+    content: content !== null,
+    metafields: metafields.map(({ namespace, key }) => ({
+      namespace,
+      key,
+      value: item.seo?.[key]?.value ?? null
+    })),
+    handle: handle ? { value: item.handle, redirectPath: resource.urlPath(source, item.handle) } : null
+  });
+}
+
+async function redirectHandle(context, source, item, newHandle) {
+  const resource = getResource(source.type);
+  const response = await createRedirect(
+    context,
+    resource.urlPath(source, item.handle),
+    resource.urlPath(source, newHandle)
+  );
+  return { response, handleChange: { from: item.handle, to: newHandle, redirect: response.ok } };
+}
+
+async function applyChanges(context, source, item, changes) {
+  const { content, metafields, handle } = changes;
+  const resource = getResource(source.type);
+  const metafieldsPath = resource.metafieldsPath(source.id, item.id);
+
+  await backupResource(context, source, item, changes);
+
+  const responses = [];
+  let handleChange = null;
+
+  if (content !== null || handle) {
+    const updateResponse = await context.request(
+      resource.itemPath(source.id, item.id),
+      {
+        method: 'PUT',
+        body: JSON.stringify({
+          [resource.itemKey]: {
+            id: item.id,
+            ...(content !== null && { body_html: content }),
+            ...(handle && { handle })
+          }
+        })
+      }
+    );
+    responses.push(updateResponse);
+
+    if (handle && updateResponse.ok) {
+      // Shopify may suffix the handle if it is taken, so redirect to what it saved.
+      const saved = await updateResponse.json().catch(() => ({}));
+      const savedHandle = saved[resource.itemKey]?.handle || handle;
+      if (savedHandle !== item.handle) {
+        const redirect = await redirectHandle(context, source, item, savedHandle);
+        responses.push(redirect.response);
+        handleChange = redirect.handleChange;
+      }
+    }
+  }
+
+  for (const metafield of metafields) {
+    responses.push(await writeMetafield(context, metafieldsPath, {
+      ...metafield,
+      id: item.seo?.[metafield.key]?.id
+    }));
+  }
+
+  return {
+    failedResponse: responses.find(response => !response.ok) || null,
+    handleChange
+  };
+}
+
+// Splits issues into those from rules the run fixes and the rest.
+const splitIssues = (issues, fixRules) => {
+  const targeted = {};
+  const other = {};
+  Object.entries(issues).forEach(([id, value]) => {
+    (fixRules.includes(id) ? targeted : other)[id] = value;
+  });
+  return { targeted, other };
+};
+
+// Compares what the store returns after the update with what was found before it.
+// Only issues the run set out to fix are judged; the others were never touched.
+function verifiedStatus(before, after, fixRules) {
+  if (!after) return 'Unverified';
+  const remaining = splitIssues(after, fixRules).targeted;
+  if (!hasIssues(remaining)) return 'Fixed';
+  return countIssues(remaining) < countIssues(splitIssues(before, fixRules).targeted) ? 'Partially fixed' : 'Unchanged';
+}
+
+const extraMetafields = (rules, options) =>
+  (rulesNeed(rules, 'keywords') ? [options.keywordMetafield || DEFAULT_KEYWORD_METAFIELD] : []);
+
+async function loadItemContext(context, source, item) {
+  const { rules, options, linkIndex } = context;
+  const resource = getResource(source.type);
+
+  item.resourceType = source.type;
+  if (linkIndex) {
+    item.linkIndex = linkIndex;
+  }
+
+  // Bulk exports bring the SEO fields along with the item.
+  if (rulesNeed(rules, 'metafields') && item.seo === undefined) {
+    const extra = extraMetafields(rules, options);
+    item.seo = await loadSeoMetafields(context, resource.metafieldsPath(source.id, item.id), item, extra);
+  }
+}
+
+async function verifyResource(context, source, item) {
+  const { rules, options, sendUpdate } = context;
+  const resource = getResource(source.type);
+
+  try {
+    const response = await context.request(resource.itemPath(source.id, item.id));
+    if (!response.ok) {
+      throw responseError(response, `re-fetch ${resource.itemKey}`);
+    }
+
+    const refreshed = (await response.json())[resource.itemKey];
+    if (!refreshed) {
+      throw new Error(`Missing ${resource.itemKey} in response`);
+    }
+
+    await loadItemContext(context, source, refreshed);
+    return analyzeArticle(refreshed, { rules, options });
+  } catch (error) {
+    sendUpdate({
+      log: `⚠️ Could not verify ${item.title.substring(0, 50)}...: ${error.message}`,
+      type: 'warning'
+    });
+    return null;
+  }
+}
+
+// REST writes go out item by item; each outcome is { failure, handleChange, remainingIssues }.
+async function writeEach(context, inspections) {
+  return Promise.all(inspections.map(async ({ source, item, changes }) => {
+    const { failedResponse, handleChange } = await applyChanges(context, source, item, changes);
+    return {
+      failure: failedResponse ? String(failedResponse.status) : null,
+      handleChange,
+      remainingIssues: failedResponse ? null : await verifyResource(context, source, item)
+    };
+  }));
+}
+
+const gidOf = (source, item) =>
+  item.admin_graphql_api_id || toGid(getResource(source.type).graphql.typeName, item.id);
+
+async function verifyBatch(context, type, inspections) {
+  const { rules, options, sendUpdate } = context;
+
+  try {
+    const refreshed = await fetchNodes(
+      context,
+      type,
+      inspections.map(({ source, item }) => gidOf(source, item)),
+      bulkMetafields(context)
+    );
+
+    return Promise.all(inspections.map(async ({ source, item }) => {
+      const current = refreshed.find(node => node.id === item.id);
+      if (!current) return null;
+
+      await loadItemContext(context, source, current);
+      return analyzeArticle(current, { rules, options });
+    }));
+  } catch (error) {
+    sendUpdate({ log: `⚠️ Could not verify ${inspections.length} item(s): ${error.message}`, type: 'warning' });
+    return inspections.map(() => null);
+  }
+}
+
+// GraphQL writes go out together: aliased updates a few to a request, SEO fields
+// through metafieldsSet, then one nodes query to read everything back.
+async function writeBatch(context, inspections) {
+  const outcomes = inspections.map(() => ({ failure: null, handleChange: null, remainingIssues: null }));
+  const fail = (i, messages) => {
+    if (messages.length > 0 && !outcomes[i].failure) {
+      outcomes[i].failure = messages.join('; ');
+    }
+  };
+
+  await Promise.all(inspections.map(({ source, item, changes }) => backupResource(context, source, item, changes)));
+
+  const types = [...new Set(inspections.map(({ source }) => source.type))];
+  for (const type of types) {
+    const updates = inspections
+      .map((inspection, i) => ({ ...inspection, i }))
+      .filter(({ source, changes }) => source.type === type && (changes.content !== null || changes.handle));
+    if (updates.length === 0) continue;
+
+    const results = await updateResources(context, type, updates.map(({ source, item, changes }) => ({
+      id: gidOf(source, item),
+      content: changes.content,
+      handle: changes.handle
+    })));
+
+    for (const [n, { source, item, changes, i }] of updates.entries()) {
+      fail(i, results[n].errors);
+      const savedHandle = results[n].handle || changes.handle;
+      if (changes.handle && results[n].errors.length === 0 && savedHandle !== item.handle) {
+        const redirect = await redirectHandle(context, source, item, savedHandle);
+        outcomes[i].handleChange = redirect.handleChange;
+        if (!redirect.response.ok) fail(i, [String(redirect.response.status)]);
+      }
+    }
+  }
+
+  const metafields = inspections.flatMap(({ source, item, changes }, i) => changes.metafields.map(({ namespace, key, value }) => ({
+    i,
+    input: { ownerId: gidOf(source, item), namespace, key, value }
+  })));
+  if (metafields.length > 0) {
+    const errors = await setMetafields(context, metafields.map(({ input }) => input));
+    errors.forEach((messages, n) => fail(metafields[n].i, messages));
+  }
+
+  for (const type of types) {
+    const written = inspections
+      .map((inspection, i) => ({ ...inspection, i }))
+      .filter(({ source, i }) => source.type === type && !outcomes[i].failure);
+    if (written.length === 0) continue;
+
+    const remaining = await verifyBatch(context, type, written);
+    written.forEach(({ i }, n) => {
+      outcomes[i].remainingIssues = remaining[n];
+    });
+  }
+
+  return outcomes;
+}
+
+const VERIFIED_LOGS = {
+  'Fixed': { icon: '✅', type: 'success' },
+  'Partially fixed': { icon: '🟡', type: 'warning' },
+  'Unchanged': { icon: '⚠️', type: 'warning' },
+  'Unverified': { icon: '❔', type: 'warning' }
+};
+
+// A rename onto a taken handle would only be suffixed again by Shopify, so it is
+// dropped. Claimed handles join the index so two renames in a run cannot collide.
+function claimHandle({ linkIndex, claimedHandles }, source, handle) {
+  const target = getResource(source.type).linkTarget(source, handle);
+  const taken = linkIndex?.handles[target.group];
+  if (!taken) return true;
+  if (taken.has(target.handle)) return false;
+
+  taken.add(target.handle);
+  claimedHandles.push(target);
+  return true;
+}
+
+async function inspectResource(context, source, item) {
+  const { rules, fixRules, approvedChanges, options, sendUpdate } = context;
+
+  await loadItemContext(context, source, item);
+
+  const focusKeyword = rulesNeed(rules, 'keywords') ? focusKeywordOf(item, options) : null;
+  const issues = analyzeArticle(item, { rules, options });
+  const signals = collectSignals(item, { rules, options });
+  let changes = null;
+
+  if (hasIssues(issues)) {
+    sendUpdate({
+      log: `🔍 Issues found in: ${item.title.substring(0, 50)}...`,
+      type: 'warning'
+    });
+
+    changes = fixArticle(item, { rules: fixRules, options });
+    if (changes.handle && !claimHandle(context, source, changes.handle)) {
+      sendUpdate({
+        log: `⏭️ Not renaming ${item.handle}: ${changes.handle} is already in use`,
+        type: 'warning'
+      });
+      changes = { ...changes, handle: null };
+    }
+    if (changes.content === null && changes.metafields.length === 0 && !changes.handle) {
+      changes = null;
+      sendUpdate({
+        log: `📝 Needs manual review: ${item.title.substring(0, 50)}...`,
+        type: 'info'
+      });
+    }
+  }
+
+  // The item or the settings changed since the preview, so this is not the change that was approved.
+  let stale = false;
+  if (changes && approvedChanges && approvedChanges[resourceKey(source.type, item.id)] !== fingerprintChange(changes)) {
+    changes = null;
+    stale = true;
+    sendUpdate({
+      log: `⏭️ Skipped, the fix no longer matches the approved preview: ${item.title.substring(0, 50)}...`,
+      type: 'warning'
+    });
+  }
+
+  return { source, item, issues, signals, focusKeyword, changes, stale };
+}
+
+function settleResource(context, { source, item, issues, signals, focusKeyword, changes, stale }, outcome) {
+  const { mode, fixRules, sendUpdate } = context;
+  let status = 'No Issues';
+  let fixed = false;
+  let written = false;
+  let remainingIssues = null;
+  let otherIssues = null;
+  let preview = null;
+  let handleChange = null;
+
+  if (stale) {
+    status = 'Changed Since Preview';
+  } else if (hasIssues(issues) && !changes) {
+    status = 'Needs Review';
+  } else if (changes && mode === 'fix') {
+    handleChange = outcome.handleChange;
+    written = true;
+
+    if (handleChange) {
+      const redirectNote = handleChange.redirect ? 'with a 301 redirect' : 'but the redirect could not be created';
+      sendUpdate({
+        log: `🔀 Renamed ${handleChange.from} → ${handleChange.to} ${redirectNote}`,
+        type: handleChange.redirect ? 'info' : 'warning'
+      });
+    }
+
+    if (outcome.failure) {
+      status = 'Failed';
+      sendUpdate({
+        log: `❌ Failed to fix: ${item.title.substring(0, 50)}... (${outcome.failure})`,
+        type: 'error'
+      });
+    } else {
+      status = verifiedStatus(issues, outcome.remainingIssues, fixRules);
+      if (outcome.remainingIssues) {
+        const { targeted, other } = splitIssues(outcome.remainingIssues, fixRules);
+        remainingIssues = targeted;
+        otherIssues = hasIssues(other) ? other : null;
+      }
+      fixed = status === 'Fixed';
+      sendUpdate({
+        log: `${VERIFIED_LOGS[status].icon} ${status}: ${item.title.substring(0, 50)}...`,
+        type: VERIFIED_LOGS[status].type
+      });
+    }
+  } else if (changes) {
+    status = 'Would Fix';
+    fixed = true;
+    handleChange = changes.handle ? { from: item.handle, to: changes.handle, redirect: null } : null;
+    preview = {
+      original: item.body_html || '',
+      proposed: changes.content,
+      altText: changes.altText,
+      metafields: changes.metafields.map(({ key, value }) => ({
+        key,
+        from: item.seo?.[key]?.value ?? null,
+        to: value
+      }))
+    };
+    sendUpdate({
+      log: `Would fix: ${item.title.substring(0, 50)}...`,
+      type: 'info'
+    });
+  }
+
+  return {
+    key: resourceKey(source.type, item.id),
+    resourceType: source.type,
+    sourceId: source.id,
+    resourceId: item.id,
+    source: source.title,
+    title: item.title,
+    issues,
+    ...(remainingIssues && { remainingIssues }),
+    ...(otherIssues && { otherIssues }),
+    signals,
+    focusKeyword,
+    metrics: measureContent(item.body_html, { keyword: focusKeyword }),
+    fixed,
+    written,
+    handleChange,
+    status,
+    ...(preview && { preview })
+  };
+}
+
+// Everything is analyzed first so the writer can send a batch's changes together.
+async function processResources(context, entries) {
+  const inspections = await Promise.all(entries.map(({ source, item }) => inspectResource(context, source, item)));
+  const pending = context.mode === 'fix' ? inspections.filter(({ changes }) => changes) : [];
+  const outcomes = pending.length > 0 ? await context.writeChanges(context, pending) : [];
+
+  return inspections.map(inspection => settleResource(context, inspection, outcomes[pending.indexOf(inspection)]));
+}
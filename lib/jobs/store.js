@@ -0,0 +1,53 @@
+import { readRecord, writeRecord } from '../storage';
+
+// Jobs are kept wherever lib/storage keeps records: files, or a KV store on Vercel.
+// Attachments hold large per-job state, such as the link index, that would
+// otherwise be rewritten into the job record on every checkpoint.
+export function createRecordStore() {
+  return {
+    get: (id) => readRecord(['jobs', id]),
+    put: (job) => writeRecord(['jobs', job.id], job),
+    getAttachment: (id, name) => readRecord(['job-attachments', id, name]),
+    putAttachment: (id, name, value) => writeRecord(['job-attachments', id, name], value)
+  };
+}
+
+export function createMemoryStore() {
+  const jobs = new Map();
+  const attachments = new Map();
+
+  return {
+    get: async (id) => (jobs.has(id) ? structuredClone(jobs.get(id)) : null),
+    put: async (job) => {
+      jobs.set(job.id, structuredClone(job));
+    },
+    getAttachment: async (id, name) => {
+      const key = `${id}/${name}`;
+      return attachments.has(key) ? structuredClone(attachments.get(key)) : null;
+    },
+    putAttachment: async (id, name, value) => {
+      attachments.set(`${id}/${name}`, structuredClone(value));
+    }
+  };
+}
+
+// The runner sees one job's attachments by name.
+export function jobAttachments(store, id) {
+  return {
+    get: (name) => store.getAttachment(id, name),
+    put: (name, value) => store.putAttachment(id, name, value)
+  };
+}
+
+let activeStore = null;
+
+export function setJobStore(store) {
+  activeStore = store;
+}
+
+export function getJobStore() {
+  if (!activeStore) {
+    activeStore = process.env.JOB_STORE === 'memory' ? createMemoryStore() : createRecordStore();
+  }
+  return activeStore;
+}
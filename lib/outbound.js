@@ -0,0 +1,140 @@
+import dns from 'dns';
+import { BlockList, isIP } from 'net';
+import { Agent } from 'undici';
+
+const MAX_REDIRECTS = 3;
+const LOOKUP_TTL_MS = 60000;
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+export class OutboundRequestError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'OutboundRequestError';
+  }
+}
+
+const blocked = new BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24],
+  ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24],
+  ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => blocked.addSubnet(network, prefix, 'ipv4'));
+// IPv4-compatible (::a.b.c.d), translated (::ffff:0:a.b.c.d) and 6to4 (2002::/16)
+// addresses all embed an IPv4 address, so they are refused outright.
+[
+  ['::', 96], ['::ffff:0:0:0', 96], ['64:ff9b::', 96], ['100::', 64],
+  ['2001:db8::', 32], ['2002::', 16], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => blocked.addSubnet(network, prefix, 'ipv6'));
+
+// BlockList also matches IPv4 addresses against ::ffff:0:0/96, so mapped addresses
+// mappedIpv4() cannot read (e.g. "0:0:0:0:0:ffff:7f00:1") get a list of their own.
+const mappedRange = new BlockList();
+mappedRange.addSubnet('::ffff:0:0', 96, 'ipv6');
+
+// "::ffff:10.0.0.1" and "::ffff:a00:1" both reach 10.0.0.1.
+const mappedIpv4 = (address) => {
+  const match = address.toLowerCase().match(/^::ffff:(?:(\d+\.\d+\.\d+\.\d+)|([\da-f]{1,4}):([\da-f]{1,4}))$/);
+  if (!match) return null;
+  if (match[1]) return match[1];
+
+  const high = parseInt(match[2], 16);
+  const low = parseInt(match[3], 16);
+  return [high >> 8, high & 255, low >> 8, low & 255].join('.');
+};
+
+export function isPrivateAddress(address) {
+  const mapped = mappedIpv4(address);
+  if (mapped) return blocked.check(mapped, 'ipv4');
+
+  const family = isIP(address);
+  if (family === 0) return true;
+  if (family === 4) return blocked.check(address, 'ipv4');
+  return blocked.check(address, 'ipv6') || mappedRange.check(address, 'ipv6');
+}
+
+const lookups = new Map();
+
+// Every address a host resolves to has to be public; one private record is enough to refuse it.
+export async function assertPublicHost(hostname) {
+  if (isIP(hostname)) {
+    throw new OutboundRequestError(`Refusing to connect to an IP address (${hostname})`);
+  }
+
+  let entry = lookups.get(hostname);
+  if (!entry || entry.expires < Date.now()) {
+    const pending = dns.promises.lookup(hostname, { all: true }).then(
+      addresses => privateAnswer(hostname, addresses),
+      () => {
+        lookups.delete(hostname);
+        return `Could not resolve ${hostname}`;
+      }
+    );
+    entry = { pending, expires: Date.now() + LOOKUP_TTL_MS };
+    lookups.set(hostname, entry);
+  }
+
+  const problem = await entry.pending;
+  if (problem) {
+    throw new OutboundRequestError(problem);
+  }
+}
+
+const privateAnswer = (hostname, addresses) => (addresses.some(({ address }) => isPrivateAddress(address))
+  ? `${hostname} resolves to a private or loopback address`
+  : null);
+
+// The socket resolves the host again when it connects. Checking that answer as
+// well means a second DNS reply cannot swap in a private address (DNS rebinding).
+const checkedLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const problem = privateAnswer(hostname, addresses);
+    if (problem) return callback(new OutboundRequestError(problem));
+
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+let dispatcher = null;
+const publicOnlyDispatcher = () => {
+  dispatcher = dispatcher || new Agent({ connect: { lookup: checkedLookup } });
+  return dispatcher;
+};
+
+// fetch() for hosts picked by users: HTTPS only, public addresses only, and
+// redirects are followed by hand so they can never leave the original host.
+export async function safeFetch(url, options = {}) {
+  let current = new URL(url);
+  let request = options;
+
+  for (let redirects = 0; ; redirects++) {
+    if (current.protocol !== 'https:') {
+      throw new OutboundRequestError(`Refusing a non-HTTPS request to ${current.host}`);
+    }
+    await assertPublicHost(current.hostname);
+
+    const response = await fetch(current, { ...request, redirect: 'manual', dispatcher: publicOnlyDispatcher() })
+      .catch(error => {
+        throw error.cause instanceof OutboundRequestError ? error.cause : error;
+      });
+    if (!REDIRECT_STATUSES.includes(response.status)) return response;
+
+    const next = new URL(response.headers.get('location') || '', current);
+    await response.body?.cancel();
+
+    if (next.host !== current.host) {
+      throw new OutboundRequestError(`Refusing a redirect from ${current.host} to ${next.host}`);
+    }
+    if (redirects >= MAX_REDIRECTS) {
+      throw new OutboundRequestError(`Too many redirects from ${current.host}`);
+    }
+
+    if (response.status === 303) {
+      request = { ...request, method: 'GET', body: undefined };
+    }
+    current = next;
+  }
+}
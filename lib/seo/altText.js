@@ -0,0 +1,117 @@
+import { textOf } from './dom';
+
+export const MAX_ALT_CHARS = 125;
+
+const BLOCK_TAGS = ['p', 'figure', 'div', 'section', 'li', 'td', 'blockquote'];
+const HEADING_TAGS = ['h1', 'h2', 'h3', 'h4', 'h5', 'h6'];
+const FILENAME_NOISE = /^(img|dsc|dscn|dscf|dcim|pxl|mvimg|photo|image|screenshot|copy|final|edit|\d+)$/i;
+
+// CDN filenames carry hashes and version stamps; "5f3a9c2b" or "v1234" say nothing about the picture.
+const isHashLike = (token) =>
+  /^v\d+$/i.test(token) ||
+  /^\d{5,}$/.test(token) ||
+  (token.length >= 6 && /\d/.test(token) && /[a-z]/i.test(token));
+
+const cleanTokens = (text) => text
+  .split(/\s+/)
+  .filter(token => token && !isHashLike(token.replace(/[^\w]/g, '')));
+
+const limit = (text) => {
+  const clean = cleanTokens(text).join(' ').replace(/\s+([,.;:!?])/g, '$1').trim();
+  if (clean.length <= MAX_ALT_CHARS) return clean.replace(/[.,;:]$/, '');
+
+  const cut = clean.slice(0, MAX_ALT_CHARS);
+  return cut.slice(0, cut.lastIndexOf(' ')).replace(/[,;:\s]+$/, '');
+};
+
+const firstSentence = (text) => (text.match(/^.+?[.!?](\s|$)/) || [text])[0].trim();
+
+const isElement = (node) => node && node.type === 'tag';
+
+const blockOf = (img) => {
+  for (let node = img.parent; isElement(node); node = node.parent) {
+    if (BLOCK_TAGS.includes(node.name)) return node;
+  }
+  return img;
+};
+
+const figcaptionOf = (img) => {
+  for (let node = img.parent; isElement(node); node = node.parent) {
+    if (node.name === 'figure') {
+      const caption = node.children.find(child => child.name === 'figcaption');
+      return caption ? textOf(caption) : '';
+    }
+  }
+  return '';
+};
+
+const lastHeadingIn = (node) => {
+  if (HEADING_TAGS.includes(node.name)) return node;
+  const headings = (node.children || []).map(lastHeadingIn).filter(Boolean);
+  return headings[headings.length - 1] || null;
+};
+
+const precedingHeading = (img) => {
+  for (let node = blockOf(img); node; node = node.parent) {
+    for (let sibling = node.prev; sibling; sibling = sibling.prev) {
+      const heading = isElement(sibling) && lastHeadingIn(sibling);
+      if (heading) return textOf(heading);
+    }
+  }
+  return '';
+};
+
+const nearestElement = (node, direction) => {
+  let current = node[direction];
+  while (current && !isElement(current)) {
+    current = current[direction];
+  }
+  return current;
+};
+
+const adjacentParagraph = (img) => {
+  const block = blockOf(img);
+
+  for (const direction of ['prev', 'next']) {
+    const sibling = nearestElement(block, direction);
+    if (sibling && sibling.name === 'p' && textOf(sibling)) {
+      return firstSentence(textOf(sibling));
+    }
+  }
+  return '';
+};
+
+const filenameWords = (src) => {
+  const filename = (src || '').split('?')[0].split('/').pop().replace(/\.\w+$/, '');
+  const words = cleanTokens(filename.replace(/[-_]+/g, ' '))
+    .filter(word => !FILENAME_NOISE.test(word));
+  return words.length >= 2 ? words.join(' ') : '';
+};
+
+const tagsOf = (article) => (article.tags || '')
+  .split(',')
+  .map(tag => tag.trim())
+  .filter(tag => tag && !tag.includes(':'));
+
+// Candidates in order of how directly they describe this particular image.
+// Text in `used` (lowercased) already describes another image and is skipped.
+export function generateAltText(img, article, position = 0, used = new Set()) {
+  const block = blockOf(img);
+  const candidates = [
+    { source: 'figcaption', text: figcaptionOf(img) },
+    { source: 'title attribute', text: img.attribs.title || '' },
+    { source: 'surrounding text', text: block !== img && block.name === 'p' ? firstSentence(textOf(block)) : '' },
+    { source: 'heading', text: precedingHeading(img) },
+    { source: 'paragraph', text: adjacentParagraph(img) },
+    { source: 'filename', text: filenameWords(img.attribs.src) }
+  ];
+
+  for (const { source, text } of candidates) {
+    const alt = limit(text);
+    if (alt && !used.has(alt.toLowerCase())) return { alt, source };
+  }
+
+  const tag = tagsOf(article)[position];
+  const fallback = limit([article.title, tag].filter(Boolean).join(' – '));
+  return fallback && !used.has(fallback.toLowerCase()) ? { alt: fallback, source: 'article title' } : null;
+}
@@ -0,0 +1,104 @@
+import { parseFragment, serialize, isWrapped, CONTENT_WRAPPER_CLASS } from './dom';
+import { selectRules } from './rules';
+
+const createContext = (article, options = {}) => ({
+  ...article,
+  options,
+  root: parseFragment(article.body_html),
+  metafieldUpdates: [],
+  handleUpdate: null,
+  altTextUpdates: []
+});
+
+const itemRules = (rules) => selectRules(rules).filter(rule => rule.scope !== 'store');
+
+const storeRules = (rules) => selectRules(rules).filter(rule => rule.scope === 'store');
+
+export function isIssue(value) {
+  return value === true || (Array.isArray(value) && value.length > 0);
+}
+
+export function rulesNeed(rules, requirement) {
+  return selectRules(rules).some(rule => (rule.needs || []).includes(requirement));
+}
+
+export function analyzeArticle(article, { rules, options } = {}) {
+  const context = createContext(article, options);
+  const issues = {};
+
+  for (const rule of itemRules(rules)) {
+    issues[rule.id] = article.body_html || rule.needs ? rule.detect(context) : false;
+  }
+
+  return issues;
+}
+
+export function collectSignals(article, { rules, options } = {}) {
+  const context = createContext(article, options);
+  const signals = {};
+
+  for (const rule of storeRules(rules)) {
+    signals[rule.id] = rule.collect(context);
+  }
+
+  return signals;
+}
+
+export function applyStoreRules(entries, { rules, options = {} } = {}) {
+  const groups = {};
+
+  for (const rule of storeRules(rules)) {
+    const values = entries.map(({ key, signals = {} }) => ({ key, value: signals[rule.id] }));
+    const findings = rule.detectAcross(values, options);
+
+    entries.forEach(entry => {
+      entry.issues[rule.id] = findings[entry.key] || false;
+    });
+
+    if (rule.groupAcross) {
+      groups[rule.id] = rule.groupAcross(values, options);
+    }
+  }
+
+  return groups;
+}
+
+export function fixArticle(article, { rules, options } = {}) {
+  const context = createContext(article, options);
+  const before = serialize(context.root);
+
+  for (const rule of itemRules(rules)) {
+    if (rule.fix && isIssue(rule.detect(context))) {
+      rule.fix(context);
+    }
+  }
+
+  const after = serialize(context.root);
+  let content = null;
+
+  if (article.body_html && after !== before) {
+    const normalized = after
+      .replace(/\n\s*\n\s*\n/g, '\n\n')
+      .replace(/^\s+|\s+$/g, '');
+    // Content fixed by an earlier run is already wrapped; wrapping again would nest.
+    content = isWrapped(context.root) ? normalized : `<div class="${CONTENT_WRAPPER_CLASS}">${normalized}</div>`;
+  }
+
+  return {
+    content,
+    metafields: context.metafieldUpdates,
+    handle: context.handleUpdate,
+    altText: context.altTextUpdates
+  };
+}
+
+export function countIssues(issues) {
+  return Object.values(issues).reduce(
+    (total, value) => total + (value === true ? 1 : Array.isArray(value) ? value.length : 0),
+    0
+  );
+}
+
+export function hasIssues(issues) {
+  return Object.values(issues).some(isIssue);
+}
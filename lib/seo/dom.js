@@ -0,0 +1,73 @@
+import { parseDocument } from 'htmlparser2';
+import { findAll, getOuterHTML, removeElement, prepend, hasAttrib } from 'domutils';
+import render from 'dom-serializer';
+import { decodeHTML } from 'entities';
+
+const PARSE_OPTIONS = { decodeEntities: false, lowerCaseAttributeNames: true };
+const RENDER_OPTIONS = { decodeEntities: false, encodeEntities: false, emptyAttrs: true };
+
+export function parseFragment(html) {
+  return parseDocument(html || '', PARSE_OPTIONS);
+}
+
+export function serialize(node) {
+  return render(node, RENDER_OPTIONS);
+}
+
+export function outerHTML(node) {
+  return getOuterHTML(node, RENDER_OPTIONS);
+}
+
+export function findElements(root, names) {
+  const wanted = [].concat(names);
+  return findAll(element => wanted.includes(element.name), root.children);
+}
+
+export function hasAncestor(element, name) {
+  for (let node = element.parent; node; node = node.parent) {
+    if (node.name === name) return true;
+  }
+  return false;
+}
+
+const SKIPPED_TEXT_ELEMENTS = ['script', 'style', 'head', 'title', 'template'];
+
+export function textOf(node) {
+  const parts = [];
+
+  const walk = (current) => {
+    if (current.type === 'text') {
+      parts.push(current.data);
+    } else if (current.children && !SKIPPED_TEXT_ELEMENTS.includes(current.name)) {
+      current.children.forEach(walk);
+      if (current.name === 'p' || current.name === 'br' || /^h[1-6]$/.test(current.name || '')) {
+        parts.push(' ');
+      }
+    }
+  };
+
+  walk(node);
+  return decodeHTML(parts.join('')).replace(/\s+/g, ' ').trim();
+}
+
+export const CONTENT_WRAPPER_CLASS = 'blog-content';
+
+export function isContentWrapper(node) {
+  return node.type === 'tag' &&
+    node.name === 'div' &&
+    (node.attribs.class || '').split(/\s+/).includes(CONTENT_WRAPPER_CLASS);
+}
+
+export function isWrapped(root) {
+  const top = root.children.filter(node => node.type !== 'text' || node.data.trim());
+  return top.length === 1 && isContentWrapper(top[0]);
+}
+
+export function unwrap(element) {
+  for (const child of [...element.children]) {
+    prepend(element, child);
+  }
+  removeElement(element);
+}
+
+export { removeElement, hasAttrib };
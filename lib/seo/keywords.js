@@ -0,0 +1,48 @@
+export const DEFAULT_KEYWORD_TAG_PREFIX = 'kw:';
+export const DEFAULT_KEYWORD_METAFIELD = 'custom.focus_keyword';
+
+export function keywordWords(text) {
+  return (text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+}
+
+// A "kw:" tag wins over the metafield so writers can override it from the editor.
+export function focusKeywordOf(article, options = {}) {
+  const prefix = (options.keywordTagPrefix || DEFAULT_KEYWORD_TAG_PREFIX).toLowerCase();
+  const tag = (article.tags || '')
+    .split(',')
+    .map(value => value.trim())
+    .find(value => value.toLowerCase().startsWith(prefix) && value.length > prefix.length);
+  if (tag) return tag.slice(prefix.length).replace(/\s+/g, ' ').trim();
+
+  const metafield = article.seo?.[options.keywordMetafield || DEFAULT_KEYWORD_METAFIELD];
+  return metafield?.value?.replace(/\s+/g, ' ').trim() || null;
+}
+
+export function countKeyword(text, keyword) {
+  const haystack = keywordWords(text);
+  const needle = keywordWords(keyword);
+  if (needle.length === 0) return 0;
+
+  let count = 0;
+  for (let i = 0; i + needle.length <= haystack.length; i++) {
+    if (needle.every((word, at) => haystack[i + at] === word)) count++;
+  }
+  return count;
+}
+
+export function containsKeyword(text, keyword) {
+  return countKeyword(text, keyword) > 0;
+}
+
+export function keywordDensity(text, keyword) {
+  const total = keywordWords(text).length;
+  if (total === 0) return 0;
+
+  const share = (countKeyword(text, keyword) * keywordWords(keyword).length) / total;
+  return Math.round(share * 1000) / 10;
+}
@@ -0,0 +1,47 @@
+import { parseFragment, findElements, textOf } from './dom';
+import { keywordDensity } from './keywords';
+
+export const DEFAULT_THIN_CONTENT_WORDS = 300;
+
+const wordsOf = (text) => text.split(/\s+/).filter(word => /[\p{L}\p{N}]/u.test(word));
+
+export function countWords(text) {
+  return wordsOf(text).length;
+}
+
+const sentencesOf = (text) => text.split(/[.!?]+(?:\s+|$)/).filter(sentence => wordsOf(sentence).length > 0);
+
+// Vowel groups, minus a silent trailing "e"; good enough for a Flesch estimate.
+const syllablesOf = (word) => {
+  const clean = word.toLowerCase().replace(/[^a-z]/g, '');
+  if (!clean) return 0;
+  if (clean.length <= 3) return 1;
+
+  const groups = clean.replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, '').replace(/^y/, '').match(/[aeiouy]{1,2}/g);
+  return Math.max(1, groups ? groups.length : 0);
+};
+
+const round = (value, places = 1) => Math.round(value * 10 ** places) / 10 ** places;
+
+export function measureContent(html, { keyword } = {}) {
+  const root = parseFragment(html);
+  const text = textOf(root);
+  const words = wordsOf(text);
+  const sentences = sentencesOf(text);
+  const paragraphs = findElements(root, 'p').map(textOf).filter(Boolean);
+  const paragraphCount = paragraphs.length || (words.length > 0 ? 1 : 0);
+
+  const syllables = words.reduce((total, word) => total + syllablesOf(word), 0);
+  const readability = words.length > 0 && sentences.length > 0
+    ? 206.835 - 1.015 * (words.length / sentences.length) - 84.6 * (syllables / words.length)
+    : null;
+
+  return {
+    words: words.length,
+    readability: readability === null ? null : round(Math.min(100, Math.max(0, readability))),
+    averageSentenceWords: sentences.length > 0 ? round(words.length / sentences.length) : 0,
+    averageParagraphWords: paragraphCount > 0 ? round(words.length / paragraphCount) : 0,
+    textRatio: html ? round((text.length / html.length) * 100) : 0,
+    keywordDensity: keyword ? keywordDensity(text, keyword) : null
+  };
+}
@@ -0,0 +1,23 @@
+// Rough Arial glyph widths in em, good enough to approximate how Google
+// truncates titles and descriptions in search results.
+const NARROW = /[ilIj.,:;'|!`()[\]{}\-\s]/;
+const WIDE = /[mwMW@%]/;
+const UPPER = /[A-Z0-9]/;
+
+export const TITLE_PIXEL_BUDGET = 580;
+export const TITLE_FONT_SIZE = 20;
+export const DESCRIPTION_PIXEL_BUDGET = 920;
+export const DESCRIPTION_FONT_SIZE = 14;
+
+export function estimatePixelWidth(text, fontSize) {
+  let width = 0;
+
+  for (const char of text || '') {
+    if (NARROW.test(char)) width += 0.28;
+    else if (WIDE.test(char)) width += 0.85;
+    else if (UPPER.test(char)) width += 0.65;
+    else width += 0.52;
+  }
+
+  return Math.round(width * fontSize);
+}
@@ -0,0 +1,142 @@
+import { createHash } from 'crypto';
+import { textOf } from '../dom';
+
+export const DEFAULT_SIMILARITY_THRESHOLD = 0.9;
+
+const SHINGLE_WORDS = 5;
+const MIN_WORDS = 50;
+const FINGERPRINT_BITS = 64;
+
+const wordsOf = (text) => text.toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, ' ').split(/\s+/).filter(Boolean);
+
+// FNV-1a, seeded so two runs give the two 32-bit halves of the fingerprint.
+const hash32 = (text, seed) => {
+  let hash = (0x811c9dc5 ^ seed) >>> 0;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash;
+};
+
+const simhash = (words) => {
+  const weights = new Array(FINGERPRINT_BITS).fill(0);
+
+  for (let i = 0; i + SHINGLE_WORDS <= words.length; i++) {
+    const shingle = words.slice(i, i + SHINGLE_WORDS).join(' ');
+    const halves = [hash32(shingle, 0), hash32(shingle, 0x9e3779b9)];
+    for (let bit = 0; bit < FINGERPRINT_BITS; bit++) {
+      const set = (halves[bit >> 5] >>> (bit & 31)) & 1;
+      weights[bit] += set ? 1 : -1;
+    }
+  }
+
+  const halves = [0, 0];
+  weights.forEach((weight, bit) => {
+    if (weight > 0) halves[bit >> 5] |= 1 << (bit & 31);
+  });
+  return halves.map(half => (half >>> 0).toString(16).padStart(8, '0')).join('');
+};
+
+const popcount = (value) => {
+  let count = 0;
+  for (let v = value >>> 0; v; v &= v - 1) count++;
+  return count;
+};
+
+const similarity = (a, b) => {
+  const distance = [0, 8].reduce((total, at) => {
+    const left = parseInt(a.slice(at, at + 8), 16);
+    const right = parseInt(b.slice(at, at + 8), 16);
+    return total + popcount(left ^ right);
+  }, 0);
+  return 1 - distance / FINGERPRINT_BITS;
+};
+
+const compare = (left, right) =>
+  (left.digest === right.digest ? 1 : similarity(left.fingerprint, right.fingerprint));
+
+// The oldest copy is usually the one search engines already rank; ties go to the longer text.
+const pickCanonical = (members) => [...members].sort((a, b) =>
+  (a.value.publishedAt || '\uffff').localeCompare(b.value.publishedAt || '\uffff') ||
+  b.value.words - a.value.words
+)[0];
+
+const groupFingerprints = (entries, { similarityThreshold = DEFAULT_SIMILARITY_THRESHOLD } = {}) => {
+  const candidates = entries.filter(({ value }) => value && value.words >= MIN_WORDS);
+  const parent = candidates.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+
+  for (let i = 0; i < candidates.length; i++) {
+    for (let j = i + 1; j < candidates.length; j++) {
+      const left = candidates[i].value;
+      const right = candidates[j].value;
+      if (compare(left, right) >= similarityThreshold) {
+        parent[find(j)] = find(i);
+      }
+    }
+  }
+
+  const clusters = new Map();
+  candidates.forEach((entry, i) => {
+    const root = find(i);
+    clusters.set(root, [...(clusters.get(root) || []), i]);
+  });
+
+  return [...clusters.values()]
+    .filter(members => members.length > 1)
+    .map(members => {
+      const entriesInGroup = members.map(i => candidates[i]);
+      const canonical = pickCanonical(entriesInGroup);
+      const scores = Object.fromEntries(entriesInGroup
+        .filter(entry => entry !== canonical)
+        .map(entry => [entry.key, Math.round(compare(entry.value, canonical.value) * 100) / 100]));
+      const lowest = Math.min(...Object.values(scores));
+
+      return {
+        kind: lowest === 1 ? 'exact' : 'near',
+        similarity: lowest,
+        canonical: canonical.key,
+        keys: entriesInGroup.map(entry => entry.key),
+        scores
+      };
+    });
+};
+
+const findingsFromGroups = (groups) => {
+  const findings = {};
+
+  groups.forEach(group => {
+    const describe = (key) => (group.scores[key] === 1
+      ? 'an exact copy'
+      : `${Math.round(group.scores[key] * 100)}% similar`);
+
+    group.keys.forEach(key => {
+      findings[key] = key === group.canonical
+        ? group.keys.filter(other => other !== key).map(other => `Keep this; ${other} is ${describe(other)}`)
+        : [`${group.scores[key] === 1 ? 'Exact copy of' : `${describe(key)} to`} ${group.canonical} (suggested canonical)`];
+    });
+  });
+
+  return findings;
+};
+
+export const duplicateRules = [
+  {
+    id: 'duplicate_content',
+    label: 'Duplicate or near-duplicate content',
+    severity: 'high',
+    scope: 'store',
+    collect: (article) => {
+      const words = wordsOf(textOf(article.root));
+      return {
+        words: words.length,
+        digest: createHash('sha1').update(words.join(' ')).digest('hex'),
+        fingerprint: simhash(words),
+        publishedAt: article.published_at || article.created_at || null
+      };
+    },
+    detectAcross: (entries, options) => findingsFromGroups(groupFingerprints(entries, options)),
+    groupAcross: groupFingerprints
+  }
+];
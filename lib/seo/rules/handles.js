@@ -0,0 +1,108 @@
+const MAX_HANDLE_CHARS = 60;
+const STOP_WORDS = ['a', 'an', 'and', 'at', 'by', 'for', 'from', 'in', 'of', 'on', 'or', 'the', 'to', 'with'];
+const COPY_SUFFIX = /-copy(-\d+)?$/;
+const NUMBER_SUFFIX = /-(\d+)$/;
+
+const decodeHandle = (handle) => {
+  try {
+    return decodeURIComponent(handle || '');
+  } catch (error) {
+    return handle || '';
+  }
+};
+
+const slugify = (text) => text
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .split(/[^a-z0-9]+/)
+  .filter(Boolean);
+
+// "iphone-15" is a real name when the title ends in 15; "summer-sale-1" is a copy.
+const duplicateSuffix = ({ handle, title }) => {
+  const decoded = decodeHandle(handle);
+  const copy = decoded.match(COPY_SUFFIX);
+  if (copy) return copy[0];
+
+  const number = decoded.match(NUMBER_SUFFIX);
+  if (!number) return null;
+
+  const titleWords = slugify(title || '');
+  return titleWords[titleWords.length - 1] === number[1] ? null : number[0];
+};
+
+// Stop words between two other words hold a phrase together ("how-to-cook",
+// "salt-and-pepper"), so only the ones at either end are padding.
+const paddingBounds = (words) => {
+  const first = words.findIndex(word => !STOP_WORDS.includes(word));
+  if (first === -1) return null;
+
+  let last = words.length - 1;
+  while (STOP_WORDS.includes(words[last])) last--;
+  return [first, last + 1];
+};
+
+const paddingWords = (words) => {
+  const bounds = paddingBounds(words);
+  return bounds ? [...words.slice(0, bounds[0]), ...words.slice(bounds[1])] : [];
+};
+
+export function suggestHandle(article) {
+  const suffix = duplicateSuffix(article);
+  const base = decodeHandle(article.handle);
+  const words = slugify(suffix ? base.slice(0, -suffix.length) : base);
+  const bounds = paddingBounds(words);
+  const kept = bounds ? words.slice(...bounds) : [];
+
+  let suggestion = '';
+  for (const word of kept.length > 0 ? kept : words) {
+    const next = suggestion ? `${suggestion}-${word}` : word;
+    if (next.length > MAX_HANDLE_CHARS) break;
+    suggestion = next;
+  }
+
+  return suggestion && suggestion !== article.handle ? suggestion : null;
+}
+
+const renameHandle = (article) => {
+  article.handleUpdate = suggestHandle(article);
+};
+
+export const handleRules = [
+  {
+    id: 'handle_too_long',
+    label: 'URL handle too long',
+    severity: 'low',
+    optIn: true,
+    needs: ['handle'],
+    detect: ({ handle }) => decodeHandle(handle).length > MAX_HANDLE_CHARS,
+    fix: renameHandle
+  },
+  {
+    id: 'handle_stop_words',
+    label: 'Stop words in the URL handle',
+    severity: 'low',
+    optIn: true,
+    needs: ['handle'],
+    detect: ({ handle }) => paddingWords(decodeHandle(handle).split('-')),
+    fix: renameHandle
+  },
+  {
+    id: 'handle_non_ascii',
+    label: 'Non-ASCII characters in the URL handle',
+    severity: 'medium',
+    optIn: true,
+    needs: ['handle'],
+    detect: ({ handle }) => /[\u0080-\uffff]/.test(decodeHandle(handle)),
+    fix: renameHandle
+  },
+  {
+    id: 'handle_duplicate_suffix',
+    label: 'Auto-suffixed duplicate URL handle',
+    severity: 'medium',
+    optIn: true,
+    needs: ['handle'],
+    detect: (article) => Boolean(article.handle) && Boolean(duplicateSuffix(article)),
+    fix: renameHandle
+  }
+];
@@ -0,0 +1,74 @@
+import { findElements, textOf, removeElement } from '../dom';
+
+const HEADING_TAGS = ['h1', 'h2', 'h3', 'h4', 'h5', 'h6'];
+const SUBHEADING_MIN_WORDS = 300;
+
+const levelOf = (heading) => Number(heading.name.slice(1));
+
+const isEmptyHeading = (heading) =>
+  !textOf(heading) && findElements(heading, 'img').length === 0;
+
+const headingsOf = (root) => findElements(root, HEADING_TAGS);
+
+const wordCount = (root) => textOf(root).split(' ').filter(Boolean).length;
+
+// The theme renders the title as the page's H1, so content headings start at H2.
+const normalizeOutline = ({ root }) => {
+  const headings = headingsOf(root);
+  const shift = headings.some(heading => levelOf(heading) === 1) ? 1 : 0;
+  let previous = 1;
+
+  headings.forEach(heading => {
+    const level = Math.min(6, levelOf(heading) + shift, previous + 1);
+    heading.name = `h${level}`;
+    previous = level;
+  });
+};
+
+export const headingRules = [
+  {
+    id: 'empty_headings',
+    label: 'Empty headings',
+    severity: 'medium',
+    detect: ({ root }) => headingsOf(root)
+      .filter(isEmptyHeading)
+      .map(heading => `<${heading.name}>`),
+    fix: ({ root }) => {
+      headingsOf(root).filter(isEmptyHeading).forEach(removeElement);
+    }
+  },
+  {
+    id: 'content_h1',
+    label: 'H1 headings in the content',
+    severity: 'high',
+    detect: ({ root }) => findElements(root, 'h1').map(heading => textOf(heading) || '<h1>'),
+    fix: normalizeOutline
+  },
+  {
+    id: 'skipped_heading_levels',
+    label: 'Skipped heading levels',
+    severity: 'medium',
+    detect: ({ root }) => {
+      const findings = [];
+      let previous = 1;
+
+      headingsOf(root).forEach(heading => {
+        const level = levelOf(heading);
+        if (level > previous + 1) {
+          findings.push(`h${previous} → h${level}: ${textOf(heading) || '(empty)'}`);
+        }
+        previous = level;
+      });
+
+      return findings;
+    },
+    fix: normalizeOutline
+  },
+  {
+    id: 'missing_subheadings',
+    label: 'Long content without subheadings',
+    severity: 'low',
+    detect: ({ root }) => wordCount(root) >= SUBHEADING_MIN_WORDS &&
+      headingsOf(root).every(heading => levelOf(heading) === 1)
+  }
+];
@@ -0,0 +1,138 @@
+import { decodeHTML } from 'entities';
+import { findElements, outerHTML, hasAttrib } from '../dom';
+import { generateAltText } from '../altText';
+
+const FILENAME_ALT = /^(img|dsc|dscn|dscf|dcim|pxl|mvimg|photo|image|screenshot|screen shot)[\s_-]*\d*$|\.(jpe?g|png|gif|webp|heic|avif)$|^[\w-]*\d{4,}[\w-]*$/i;
+const SIZED_FILENAME = /_(\d+x\d*|x\d+|pico|icon|thumb|small|compact|medium|large|grande|original|master)(@\dx)?\.\w+$/i;
+const SRCSET_WIDTHS = [480, 800, 1200, 1600];
+const SRCSET_SIZES = '(min-width: 1200px) 1200px, 100vw';
+
+const altOf = (img) => (img.attribs.alt || '').trim();
+
+const isWeakAlt = (img) => hasAttrib(img, 'alt') && (!altOf(img) || FILENAME_ALT.test(altOf(img)));
+
+// Alt text already in the post is not reused, so images under one heading get different descriptions.
+const writeAltText = (article, shouldReplace) => {
+  const images = findElements(article.root, 'img');
+  const used = new Set(images.filter(img => !shouldReplace(img)).map(img => altOf(img).toLowerCase()).filter(Boolean));
+
+  images.forEach((img, position) => {
+    if (!shouldReplace(img)) return;
+
+    const generated = generateAltText(img, article, position, used);
+    if (!generated) return;
+
+    used.add(generated.alt.toLowerCase());
+    img.attribs.alt = generated.alt;
+    article.altTextUpdates.push({ src: img.attribs.src || '', ...generated });
+  });
+};
+
+const parseSource = (src) => {
+  try {
+    return new URL(decodeHTML(src || ''), 'https://storefront.invalid');
+  } catch (error) {
+    return null;
+  }
+};
+
+const isShopifyCdn = (url) =>
+  url.hostname === 'cdn.shopify.com' || url.pathname.startsWith('/cdn/shop/');
+
+// CDN images served without a width are sent at full upload size.
+const isUnsizedCdnImage = (img) => {
+  const url = parseSource(img.attribs.src);
+  if (!url || !isShopifyCdn(url) || hasAttrib(img, 'srcset')) return false;
+
+  return !url.searchParams.has('width') &&
+    !url.searchParams.has('height') &&
+    !SIZED_FILENAME.test(url.pathname);
+};
+
+const sizedSource = (src, width) => `${src}${src.includes('?') ? '&' : '?'}width=${width}`;
+
+const loadingFindings = (images) => images.flatMap((img, i) => {
+  if (i === 0) {
+    if (img.attribs.loading === 'lazy') return ['First image is lazy-loaded'];
+    if (img.attribs.fetchpriority !== 'high') return ['First image has no fetchpriority'];
+    return [];
+  }
+  return hasAttrib(img, 'loading') ? [] : [outerHTML(img)];
+});
+
+export const imageRules = [
+  {
+    id: 'missing_alt_text',
+    label: 'Images without alt text',
+    severity: 'high',
+    detect: ({ root }) => findElements(root, 'img')
+      .filter(img => !hasAttrib(img, 'alt'))
+      .map(img => outerHTML(img)),
+    fix: (article) => writeAltText(article, img => !hasAttrib(img, 'alt'))
+  },
+  {
+    id: 'weak_alt_text',
+    label: 'Empty or filename-like alt text',
+    severity: 'medium',
+    detect: ({ root }) => findElements(root, 'img')
+      .filter(isWeakAlt)
+      .map(img => outerHTML(img)),
+    fix: (article) => writeAltText(article, isWeakAlt)
+  },
+  {
+    id: 'duplicate_alt_text',
+    label: 'Alt text repeated within the post',
+    severity: 'low',
+    detect: ({ root }) => {
+      const counts = new Map();
+      findElements(root, 'img').map(altOf).filter(Boolean).forEach(alt => {
+        counts.set(alt.toLowerCase(), (counts.get(alt.toLowerCase()) || 0) + 1);
+      });
+      return [...counts].filter(([, count]) => count > 1).map(([alt, count]) => `"${alt}" ×${count}`);
+    }
+  },
+  {
+    id: 'missing_image_dimensions',
+    label: 'Images without width and height',
+    severity: 'medium',
+    detect: ({ root }) => findElements(root, 'img')
+      .filter(img => !hasAttrib(img, 'width') || !hasAttrib(img, 'height'))
+      .map(img => outerHTML(img))
+  },
+  {
+    id: 'unsized_cdn_images',
+    label: 'Full-size CDN images without srcset',
+    severity: 'medium',
+    detect: ({ root }) => findElements(root, 'img')
+      .filter(isUnsizedCdnImage)
+      .map(img => img.attribs.src),
+    fix: ({ root }) => {
+      findElements(root, 'img')
+        .filter(isUnsizedCdnImage)
+        .forEach(img => {
+          img.attribs.srcset = SRCSET_WIDTHS
+            .map(width => `${sizedSource(img.attribs.src, width)} ${width}w`)
+            .join(', ');
+          if (!hasAttrib(img, 'sizes')) {
+            img.attribs.sizes = SRCSET_SIZES;
+          }
+        });
+    }
+  },
+  {
+    id: 'image_lazy_loading',
+    label: 'Image loading order',
+    severity: 'low',
+    detect: ({ root }) => loadingFindings(findElements(root, 'img')),
+    fix: ({ root }) => {
+      findElements(root, 'img').forEach((img, i) => {
+        if (i === 0) {
+          img.attribs.loading = 'eager';
+          img.attribs.fetchpriority = 'high';
+        } else if (!hasAttrib(img, 'loading')) {
+          img.attribs.loading = 'lazy';
+        }
+      });
+    }
+  }
+];
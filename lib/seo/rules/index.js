@@ -0,0 +1,24 @@
+import { registerRule } from './registry';
+import { structureRules } from './structure';
+import { imageRules } from './images';
+import { headingRules } from './headings';
+import { linkRules } from './links';
+import { handleRules } from './handles';
+import { metadataRules } from './metadata';
+import { duplicateRules } from './duplicates';
+import { qualityRules } from './quality';
+import { keywordRules } from './keywords';
+
+[
+  ...structureRules,
+  ...imageRules,
+  ...headingRules,
+  ...linkRules,
+  ...handleRules,
+  ...metadataRules,
+  ...duplicateRules,
+  ...qualityRules,
+  ...keywordRules
+].forEach(registerRule);
+
+export { registerRule, getRules, selectRules, describeRules } from './registry';
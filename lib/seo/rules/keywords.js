@@ -0,0 +1,69 @@
+import { findElements, textOf } from '../dom';
+import { focusKeywordOf, containsKeyword, keywordDensity, keywordWords } from '../keywords';
+import { SEO_TITLE_KEY, SEO_DESCRIPTION_KEY } from '../../shopify/metafields';
+import { duplicatesAcross, seoValue } from './metadata';
+
+const MIN_DENSITY = 0.5;
+const MAX_DENSITY = 3;
+const SUBHEADING_TAGS = ['h2', 'h3', 'h4', 'h5', 'h6'];
+
+// Each check returns null when the place does not exist, so it is not reported as missing.
+const PLACEMENTS = [
+  ['title', (article) => article.title || ''],
+  ['SEO title', (article) => seoValue(article, SEO_TITLE_KEY) || null],
+  ['meta description', (article) => seoValue(article, SEO_DESCRIPTION_KEY) || null],
+  ['handle', (article) => (article.handle ? article.handle.replace(/-/g, ' ') : null)],
+  ['first paragraph', ({ root }) => findElements(root, 'p').map(textOf).find(Boolean) || null],
+  ['a subheading', ({ root }) => {
+    const headings = findElements(root, SUBHEADING_TAGS).map(textOf);
+    return headings.length > 0 ? headings : null;
+  }],
+  ['image alt text', ({ root }) => {
+    const images = findElements(root, 'img');
+    return images.length > 0 ? images.map(img => img.attribs.alt || '') : null;
+  }]
+];
+
+export const keywordRules = [
+  {
+    id: 'focus_keyword_placement',
+    label: 'Focus keyword missing from key places',
+    severity: 'medium',
+    needs: ['metafields', 'keywords'],
+    detect: (article) => {
+      const keyword = focusKeywordOf(article, article.options);
+      if (!keyword) return [];
+
+      return PLACEMENTS
+        .filter(([, read]) => {
+          const value = read(article);
+          return value !== null && ![].concat(value).some(text => containsKeyword(text, keyword));
+        })
+        .map(([place]) => `"${keyword}" not in ${place}`);
+    }
+  },
+  {
+    id: 'keyword_density',
+    label: 'Focus keyword density out of range',
+    severity: 'low',
+    needs: ['metafields', 'keywords'],
+    detect: (article) => {
+      const keyword = focusKeywordOf(article, article.options);
+      if (!keyword) return [];
+
+      const density = keywordDensity(textOf(article.root), keyword);
+      return density < MIN_DENSITY || density > MAX_DENSITY
+        ? [`"${keyword}" density ${density}% (aim for ${MIN_DENSITY}–${MAX_DENSITY}%)`]
+        : [];
+    }
+  },
+  {
+    id: 'keyword_cannibalization',
+    label: 'Focus keyword targeted by other items',
+    severity: 'medium',
+    scope: 'store',
+    needs: ['metafields', 'keywords'],
+    collect: (article) => keywordWords(focusKeywordOf(article, article.options)).join(' '),
+    detectAcross: duplicatesAcross
+  }
+];
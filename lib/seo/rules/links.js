@@ -0,0 +1,209 @@
+import { findElements } from '../dom';
+
+const BUILT_IN_COLLECTIONS = ['all', 'vendors', 'types'];
+const MAX_REDIRECT_HOPS = 5;
+const MIN_SUGGESTION_SIMILARITY = 0.5;
+
+const bareHost = (host) => (host || '').toLowerCase().replace(/^www\./, '');
+
+const bigrams = (text) => {
+  const grams = [];
+  for (let i = 0; i < text.length - 1; i++) {
+    grams.push(text.slice(i, i + 2));
+  }
+  return grams;
+};
+
+const similarity = (a, b) => {
+  const left = bigrams(a);
+  const right = bigrams(b);
+  if (left.length === 0 || right.length === 0) return a === b ? 1 : 0;
+
+  const remaining = [...right];
+  let shared = 0;
+  left.forEach(gram => {
+    const at = remaining.indexOf(gram);
+    if (at !== -1) {
+      shared++;
+      remaining.splice(at, 1);
+    }
+  });
+
+  return (2 * shared) / (left.length + right.length);
+};
+
+const closestHandle = (handle, handles) => {
+  let best = null;
+  let bestScore = MIN_SUGGESTION_SIMILARITY;
+
+  for (const candidate of handles) {
+    const score = similarity(handle, candidate);
+    if (score > bestScore) {
+      best = candidate;
+      bestScore = score;
+    }
+  }
+
+  return best;
+};
+
+// Which handles a storefront path points at, with the path segments each one occupies.
+const targetsOf = (segments) => {
+  const [route, first, second, third] = segments;
+
+  switch (route) {
+    case 'products':
+      return first ? [{ group: 'products', handle: first, at: [1] }] : [];
+    case 'collections': {
+      const targets = first && !BUILT_IN_COLLECTIONS.includes(first)
+        ? [{ group: 'collections', handle: first, at: [1] }]
+        : [];
+      if (second === 'products' && third) {
+        targets.push({ group: 'products', handle: third, at: [3] });
+      }
+      return targets;
+    }
+    case 'pages':
+      return first ? [{ group: 'pages', handle: first, at: [1] }] : [];
+    case 'blogs':
+      if (!first) return [];
+      if (!second || second === 'tagged') {
+        return [{ group: 'blogs', handle: first, at: [1] }];
+      }
+      return [{ group: 'articles', handle: `${first}/${second}`, at: [1, 2] }];
+    default:
+      return [];
+  }
+};
+
+const followRedirects = (path, redirects) => {
+  let target = null;
+  let current = path;
+
+  for (let hop = 0; hop < MAX_REDIRECT_HOPS && redirects[current]; hop++) {
+    target = redirects[current];
+    current = target.toLowerCase().replace(/\/+$/, '');
+  }
+
+  return target;
+};
+
+const inspectLink = (anchor, index) => {
+  const href = anchor.attribs.href;
+  if (!href || href.startsWith('#')) return null;
+
+  let url;
+  try {
+    url = new URL(href, `https://${index.primaryDomain}`);
+  } catch (error) {
+    return null;
+  }
+
+  const host = bareHost(url.hostname);
+  const isPrimary = host === bareHost(index.primaryDomain);
+  const onMyshopify = !isPrimary && host === bareHost(index.myshopifyDomain);
+  if (!['http:', 'https:'].includes(url.protocol)) return null;
+  if (!isPrimary && !onMyshopify) return null;
+
+  const path = url.pathname.replace(/\/+$/, '').toLowerCase();
+  const segments = path.split('/').filter(Boolean);
+  const missing = targetsOf(segments)
+    .filter(({ group, handle }) => index.handles[group] && !index.handles[group].has(handle));
+
+  const link = {
+    anchor,
+    href,
+    url,
+    relative: !/^[a-z][a-z0-9+.-]*:|^\/\//i.test(href),
+    onMyshopify,
+    redirectTarget: null,
+    suggestedPath: null,
+    broken: false
+  };
+
+  if (missing.length === 0) return link;
+
+  link.redirectTarget = followRedirects(path, index.redirects);
+  if (link.redirectTarget) return link;
+
+  link.broken = true;
+  const fixed = [...segments];
+  const resolved = missing.every(({ group, handle, at }) => {
+    const suggestion = closestHandle(handle, index.handles[group]);
+    if (!suggestion) return false;
+    suggestion.split('/').forEach((part, i) => {
+      fixed[at[i]] = part;
+    });
+    return true;
+  });
+  if (resolved) {
+    link.suggestedPath = `/${fixed.join('/')}`;
+  }
+
+  return link;
+};
+
+const inspectLinks = ({ root, linkIndex }) => {
+  if (!linkIndex) return [];
+  return findElements(root, 'a')
+    .map(anchor => inspectLink(anchor, linkIndex))
+    .filter(Boolean);
+};
+
+const buildHref = (link, path, { primaryDomain }) => {
+  if (/^https?:\/\//i.test(path)) return path;
+
+  const suffix = `${path}${link.url.search}${link.url.hash}`;
+  return link.relative && !link.onMyshopify ? suffix : `https://${primaryDomain}${suffix}`;
+};
+
+export const linkRules = [
+  {
+    id: 'broken_internal_links',
+    label: 'Links to handles that do not exist',
+    severity: 'high',
+    needs: ['links'],
+    detect: (article) => inspectLinks(article)
+      .filter(link => link.broken)
+      .map(link => `${link.href} → ${link.suggestedPath || 'no close match'}`),
+    fix: (article) => {
+      inspectLinks(article)
+        .filter(link => link.broken && link.suggestedPath)
+        .forEach(link => {
+          link.anchor.attribs.href = buildHref(link, link.suggestedPath, article.linkIndex);
+        });
+    }
+  },
+  {
+    id: 'redirected_internal_links',
+    label: 'Links that go through a redirect',
+    severity: 'low',
+    needs: ['links'],
+    detect: (article) => inspectLinks(article)
+      .filter(link => link.redirectTarget)
+      .map(link => `${link.href} → ${link.redirectTarget}`),
+    fix: (article) => {
+      inspectLinks(article)
+        .filter(link => link.redirectTarget)
+        .forEach(link => {
+          link.anchor.attribs.href = buildHref(link, link.redirectTarget, article.linkIndex);
+        });
+    }
+  },
+  {
+    id: 'myshopify_domain_links',
+    label: 'Links to the myshopify.com domain',
+    severity: 'medium',
+    needs: ['links'],
+    detect: (article) => inspectLinks(article)
+      .filter(link => link.onMyshopify)
+      .map(link => link.href),
+    fix: (article) => {
+      inspectLinks(article)
+        .filter(link => link.onMyshopify)
+        .forEach(link => {
+          link.anchor.attribs.href = buildHref(link, link.url.pathname, article.linkIndex);
+        });
+    }
+  }
+];
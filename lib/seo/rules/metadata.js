@@ -0,0 +1,163 @@
+import { parseFragment, findElements, textOf } from '../dom';
+import {
+  estimatePixelWidth,
+  TITLE_PIXEL_BUDGET,
+  TITLE_FONT_SIZE,
+  DESCRIPTION_PIXEL_BUDGET,
+  DESCRIPTION_FONT_SIZE
+} from '../pixels';
+import { SEO_NAMESPACE, SEO_TITLE_KEY, SEO_DESCRIPTION_KEY } from '../../shopify/metafields';
+
+const TITLE_MIN_CHARS = 30;
+const TITLE_MAX_CHARS = 60;
+const DESCRIPTION_MIN_CHARS = 70;
+const DESCRIPTION_MAX_CHARS = 160;
+const GENERATED_DESCRIPTION_CHARS = 155;
+const MIN_PARAGRAPH_CHARS = 50;
+
+export const seoValue = (article, key) => article.seo?.[key]?.value?.trim() || '';
+
+const normalize = (text) => text.toLowerCase().replace(/\s+/g, ' ').trim();
+
+const lengthFindings = (text, { minChars, maxChars, pixelBudget, fontSize }) => {
+  if (!text) return [];
+
+  const findings = [];
+  const pixels = estimatePixelWidth(text, fontSize);
+
+  if (text.length > maxChars || pixels > pixelBudget) {
+    findings.push(`Too long: ${text.length} characters (~${pixels}px, budget ${maxChars} / ${pixelBudget}px)`);
+  } else if (text.length < minChars) {
+    findings.push(`Too short: ${text.length} characters (minimum ${minChars})`);
+  }
+
+  return findings;
+};
+
+const truncate = (text, max) => {
+  if (text.length <= max) return text;
+
+  const cut = text.slice(0, max);
+  const sentenceEnd = Math.max(cut.lastIndexOf('. '), cut.lastIndexOf('! '), cut.lastIndexOf('? '));
+  if (sentenceEnd >= DESCRIPTION_MIN_CHARS) {
+    return cut.slice(0, sentenceEnd + 1);
+  }
+
+  return `${cut.slice(0, cut.lastIndexOf(' ')).replace(/[,;:\s]+$/, '')}…`;
+};
+
+export function generateDescription(article) {
+  const summary = article.summary_html ? textOf(parseFragment(article.summary_html)) : '';
+  const firstParagraph = findElements(article.root, 'p')
+    .map(textOf)
+    .find(text => text.length >= MIN_PARAGRAPH_CHARS);
+
+  return truncate(summary || firstParagraph || textOf(article.root), GENERATED_DESCRIPTION_CHARS);
+}
+
+export const duplicatesAcross = (entries) => {
+  const groups = new Map();
+
+  entries.forEach(({ key, value }) => {
+    if (!value) return;
+    const normalized = normalize(value);
+    groups.set(normalized, [...(groups.get(normalized) || []), key]);
+  });
+
+  const findings = {};
+  for (const keys of groups.values()) {
+    if (keys.length < 2) continue;
+    keys.forEach(key => {
+      findings[key] = keys.filter(other => other !== key);
+    });
+  }
+
+  return findings;
+};
+
+export const metadataRules = [
+  {
+    id: 'missing_seo_title',
+    label: 'No SEO title set',
+    severity: 'medium',
+    needs: ['metafields'],
+    detect: (article) => Boolean(article.seo) && !seoValue(article, SEO_TITLE_KEY)
+  },
+  {
+    id: 'seo_title_length',
+    label: 'SEO title too long or too short',
+    severity: 'medium',
+    needs: ['metafields'],
+    detect: (article) => lengthFindings(seoValue(article, SEO_TITLE_KEY), {
+      minChars: TITLE_MIN_CHARS,
+      maxChars: TITLE_MAX_CHARS,
+      pixelBudget: TITLE_PIXEL_BUDGET,
+      fontSize: TITLE_FONT_SIZE
+    })
+  },
+  {
+    id: 'seo_title_matches_title',
+    label: 'SEO title identical to the title',
+    severity: 'low',
+    needs: ['metafields'],
+    detect: (article) => {
+      const seoTitle = seoValue(article, SEO_TITLE_KEY);
+      return Boolean(seoTitle) && normalize(seoTitle) === normalize(article.title || '');
+    }
+  },
+  {
+    id: 'missing_meta_description',
+    label: 'No meta description set',
+    severity: 'high',
+    needs: ['metafields'],
+    detect: (article) => Boolean(article.seo) && !seoValue(article, SEO_DESCRIPTION_KEY),
+    fix: (article) => {
+      const description = generateDescription(article);
+      if (description.length < DESCRIPTION_MIN_CHARS) return;
+
+      article.metafieldUpdates.push({
+        namespace: SEO_NAMESPACE,
+        key: SEO_DESCRIPTION_KEY,
+        value: description
+      });
+    }
+  },
+  {
+    id: 'meta_description_length',
+    label: 'Meta description too long or too short',
+    severity: 'medium',
+    needs: ['metafields'],
+    detect: (article) => lengthFindings(seoValue(article, SEO_DESCRIPTION_KEY), {
+      minChars: DESCRIPTION_MIN_CHARS,
+      maxChars: DESCRIPTION_MAX_CHARS,
+      pixelBudget: DESCRIPTION_PIXEL_BUDGET,
+      fontSize: DESCRIPTION_FONT_SIZE
+    })
+  },
+  {
+    id: 'duplicate_seo_title',
+    label: 'SEO title shared with other items',
+    severity: 'medium',
+    scope: 'store',
+    needs: ['metafields'],
+    collect: (article) => seoValue(article, SEO_TITLE_KEY) || article.title || '',
+    detectAcross: duplicatesAcross
+  },
+  {
+    id: 'duplicate_titles',
+    label: 'Title shared with other items',
+    severity: 'medium',
+    scope: 'store',
+    collect: (article) => article.title || '',
+    detectAcross: duplicatesAcross
+  },
+  {
+    id: 'duplicate_meta_description',
+    label: 'Meta description shared with other items',
+    severity: 'medium',
+    scope: 'store',
+    needs: ['metafields'],
+    collect: (article) => seoValue(article, SEO_DESCRIPTION_KEY),
+    detectAcross: duplicatesAcross
+  }
+];
@@ -0,0 +1,21 @@
+import { textOf } from '../dom';
+import { countWords, DEFAULT_THIN_CONTENT_WORDS } from '../metrics';
+
+// Posts and pages are read as prose; product and collection descriptions are
+// short by design, so a word minimum would flag nearly all of them.
+const PROSE_TYPES = ['articles', 'pages'];
+
+export const qualityRules = [
+  {
+    id: 'thin_content',
+    label: 'Thin content',
+    severity: 'medium',
+    detect: ({ root, options, resourceType = 'articles' }) => {
+      if (!PROSE_TYPES.includes(resourceType)) return [];
+
+      const minimum = options.thinContentWords || DEFAULT_THIN_CONTENT_WORDS;
+      const words = countWords(textOf(root));
+      return words < minimum ? [`${words} words (minimum ${minimum})`] : [];
+    }
+  }
+];
@@ -0,0 +1,44 @@
+const SEVERITIES = ['high', 'medium', 'low'];
+const registry = new Map();
+
+export function registerRule(rule) {
+  if (rule.scope === 'store') {
+    if (!rule.id || typeof rule.collect !== 'function' || typeof rule.detectAcross !== 'function') {
+      throw new Error('A store rule needs an id, a collect(article) and a detectAcross(entries) function');
+    }
+  } else if (!rule.id || typeof rule.detect !== 'function') {
+    throw new Error('A rule needs an id and a detect(article) function');
+  }
+  if (!SEVERITIES.includes(rule.severity)) {
+    throw new Error(`Rule ${rule.id} has an unknown severity: ${rule.severity}`);
+  }
+
+  registry.set(rule.id, rule);
+}
+
+export function getRules() {
+  return [...registry.values()];
+}
+
+export function selectRules(ids) {
+  if (!ids) return getRules();
+
+  return ids.map(id => {
+    const rule = registry.get(id);
+    if (!rule) {
+      throw new Error(`Unknown rule: ${id}`);
+    }
+    return rule;
+  });
+}
+
+export function describeRules() {
+  return getRules().map(({ id, label, severity, scope = 'item', fix, optIn = false }) => ({
+    id,
+    label,
+    severity,
+    scope,
+    fixable: typeof fix === 'function',
+    optIn
+  }));
+}
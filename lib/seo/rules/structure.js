@@ -0,0 +1,74 @@
+import { findElements, hasAncestor, unwrap, removeElement, isContentWrapper } from '../dom';
+
+// A pasted document brings its <!DOCTYPE> along; it parses as a directive, not an element.
+const doctypes = (root) => root.children.filter(node => node.type === 'directive');
+
+const stripDocumentMarkup = ({ root }) => {
+  doctypes(root).forEach(removeElement);
+  findElements(root, 'head').forEach(removeElement);
+  findElements(root, ['html', 'body']).forEach(unwrap);
+};
+
+const nestedWrappers = (root) => findElements(root, 'div').filter(div => {
+  if (!isContentWrapper(div)) return false;
+  for (let node = div.parent; node; node = node.parent) {
+    if (node.type === 'tag' && isContentWrapper(node)) return true;
+  }
+  return false;
+});
+
+const removeTitles = ({ root }) => {
+  findElements(root, 'title').forEach(removeElement);
+};
+
+export const structureRules = [
+  {
+    id: 'multiple_body_tags',
+    label: 'More than one <body> tag',
+    severity: 'high',
+    detect: ({ root }) => findElements(root, 'body').length > 1,
+    fix: stripDocumentMarkup
+  },
+  {
+    id: 'multiple_head_tags',
+    label: 'More than one <head> tag',
+    severity: 'high',
+    detect: ({ root }) => findElements(root, 'head').length > 1,
+    fix: stripDocumentMarkup
+  },
+  {
+    id: 'title_outside_head',
+    label: '<title> tag inside the post body',
+    severity: 'medium',
+    detect: ({ root }) => findElements(root, 'title').some(title => !hasAncestor(title, 'head')),
+    fix: removeTitles
+  },
+  {
+    id: 'multiple_titles',
+    label: 'More than one <title> tag',
+    severity: 'medium',
+    detect: ({ root }) => findElements(root, 'title').length > 1,
+    fix: removeTitles
+  },
+  {
+    id: 'stray_meta_tags',
+    label: '<meta> or <link> tags pasted into the content',
+    severity: 'medium',
+    detect: ({ root }) => findElements(root, ['meta', 'link']).length > 0,
+    fix: ({ root }) => findElements(root, ['meta', 'link']).forEach(removeElement)
+  },
+  {
+    id: 'broken_structure',
+    label: 'Pasted document markup (<html>, <head>, <body>)',
+    severity: 'high',
+    detect: ({ root }) => findElements(root, ['html', 'head', 'body']).length > 0 || doctypes(root).length > 0,
+    fix: stripDocumentMarkup
+  },
+  {
+    id: 'nested_content_wrappers',
+    label: 'Nested blog-content wrappers from earlier fixes',
+    severity: 'low',
+    detect: ({ root }) => nestedWrappers(root).length > 0,
+    fix: ({ root }) => nestedWrappers(root).forEach(unwrap)
+  }
+];
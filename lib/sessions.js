@@ -0,0 +1,112 @@
+import { createCipheriv, createDecipheriv, createHmac, randomBytes, scryptSync, timingSafeEqual } from 'crypto';
+import { writeRecord, readRecord, listRecords, deleteRecord } from './storage';
+
+export const SHOPS_COOKIE = 'seo_fixer_shops';
+const SHOPS_COOKIE_MAX_AGE_SECONDS = 60 * 60 * 24 * 365;
+const ALGORITHM = 'aes-256-gcm';
+const cachedKeys = new Map();
+
+// Keys for each purpose are derived from SESSION_SECRET, so one secret covers
+// both the stored tokens and the browser cookie.
+const derivedKey = (purpose) => {
+  const secret = process.env.SESSION_SECRET;
+  if (!secret) {
+    throw new Error('SESSION_SECRET must be set to store connected shops');
+  }
+  if (cachedKeys.get(purpose)?.secret !== secret) {
+    cachedKeys.set(purpose, { secret, key: scryptSync(secret, `shopify-seo-fixer:${purpose}`, 32) });
+  }
+  return cachedKeys.get(purpose).key;
+};
+
+// Tokens from the install flow are kept server-side, encrypted.
+const encryptionKey = () => derivedKey('sessions');
+
+const encrypt = (value, shop) => {
+  const iv = randomBytes(12);
+  const cipher = createCipheriv(ALGORITHM, encryptionKey(), iv);
+  cipher.setAAD(Buffer.from(shop));
+  const data = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+  return { iv: iv.toString('base64'), tag: cipher.getAuthTag().toString('base64'), data: data.toString('base64') };
+};
+
+// The shop is bound in as associated data, so a record copied to another shop's file will not decrypt.
+const decrypt = ({ iv, tag, data }, shop) => {
+  const decipher = createDecipheriv(ALGORITHM, encryptionKey(), Buffer.from(iv, 'base64'));
+  decipher.setAAD(Buffer.from(shop));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+};
+
+const describe = ({ shop, scope, installedAt }) => ({ shop, scope, installedAt });
+
+export async function saveSession({ shop, accessToken, scope }) {
+  const session = {
+    shop,
+    scope,
+    installedAt: new Date().toISOString(),
+    token: encrypt(accessToken, shop)
+  };
+
+  await writeRecord(['sessions', shop], session);
+  return describe(session);
+}
+
+export async function loadSession(shop) {
+  const session = await readRecord(['sessions', shop]);
+  if (!session) return null;
+
+  try {
+    return { ...describe(session), accessToken: decrypt(session.token, shop) };
+  } catch (error) {
+    throw new Error(`The stored session for ${shop} could not be decrypted. Was SESSION_SECRET changed?`);
+  }
+}
+
+export async function listSessions() {
+  const shops = await listRecords(['sessions']);
+  const sessions = await Promise.all(shops.map(shop => readRecord(['sessions', shop])));
+
+  return sessions
+    .filter(Boolean)
+    .map(describe)
+    .sort((a, b) => a.shop.localeCompare(b.shop));
+}
+
+export async function deleteSession(shop) {
+  return deleteRecord(['sessions', shop]);
+}
+
+const signShops = (payload) => createHmac('sha256', derivedKey('browser')).update(payload).digest('base64url');
+
+// A stored token is only used by the browser that installed it. That browser
+// holds a signed, HttpOnly cookie naming its shops; anyone else has to paste a token.
+export function connectedShops(req) {
+  const [payload, signature] = String(req?.cookies?.[SHOPS_COOKIE] || '').split('.');
+  if (!payload || !signature || !process.env.SESSION_SECRET) return [];
+
+  const expected = Buffer.from(signShops(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) return [];
+
+  try {
+    const shops = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return Array.isArray(shops) ? shops.filter(shop => typeof shop === 'string') : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+export function shopsCookie(shops, { secure = false } = {}) {
+  const payload = Buffer.from(JSON.stringify([...new Set(shops)].sort())).toString('base64url');
+  const flags = `Path=/api; HttpOnly; SameSite=Lax; Max-Age=${SHOPS_COOKIE_MAX_AGE_SECONDS}${secure ? '; Secure' : ''}`;
+  return `${SHOPS_COOKIE}=${payload}.${signShops(payload)}; ${flags}`;
+}
+
+// A pasted token wins; otherwise fall back to the shop's stored session, if
+// this browser connected the shop.
+export async function resolveAccessToken(shop, accessToken, req) {
+  if (accessToken) return accessToken;
+  if (!connectedShops(req).includes(shop)) return null;
+  return (await loadSession(shop))?.accessToken || null;
+}
@@ -0,0 +1,113 @@
+import { getResource } from './resources';
+import { graphqlRequest, runMutations, legacyId } from './graphql';
+import { SEO_NAMESPACE, SEO_TITLE_KEY, SEO_DESCRIPTION_KEY, METAFIELD_TYPE } from './metafields';
+
+const COMMON_FIELDS = 'id title handle createdAt';
+const SEO_METAFIELDS = [`${SEO_NAMESPACE}.${SEO_TITLE_KEY}`, `${SEO_NAMESPACE}.${SEO_DESCRIPTION_KEY}`];
+const METAFIELDS_PER_CALL = 25;
+
+const splitName = (name) => {
+  const [namespace, ...key] = name.split('.');
+  return { namespace, key: key.join('.') };
+};
+
+// Matches the keys fetchSeoMetafields uses: bare keys for the SEO fields, "namespace.key" for extras.
+const seoKey = (name) => (SEO_METAFIELDS.includes(name) ? splitName(name).key : name);
+
+export function seoMetafieldNames(extra = []) {
+  return [...SEO_METAFIELDS, ...extra];
+}
+
+const metafieldSelections = (names) => names.map((name, i) => {
+  const { namespace, key } = splitName(name);
+  return `mf${i}: metafield(namespace: ${JSON.stringify(namespace)}, key: ${JSON.stringify(key)}) { legacyResourceId value }`;
+});
+
+const nodeFields = (resource, metafields) =>
+  [COMMON_FIELDS, resource.graphql.fields, ...(metafields ? metafieldSelections(metafields) : [])].join(' ');
+
+export function bulkQuery(type, metafields) {
+  const resource = getResource(type);
+  const { connection, filter } = resource.graphql;
+  const args = filter ? `(query: ${JSON.stringify(filter)})` : '';
+
+  return `{ ${connection}${args} { edges { node { ${nodeFields(resource, metafields)} } } } }`;
+}
+
+// Reshapes a GraphQL node into the REST fields the rules read, so both APIs feed the same analyzer.
+export function fromNode(type, node, metafields) {
+  const { graphql } = getResource(type);
+  const item = {
+    id: legacyId(node.id),
+    admin_graphql_api_id: node.id,
+    title: node.title,
+    handle: node.handle,
+    created_at: node.createdAt,
+    ...graphql.toItem(node)
+  };
+
+  if (metafields) {
+    item.seo = Object.fromEntries(metafields.map((name, i) => {
+      const metafield = node[`mf${i}`];
+      return [seoKey(name), metafield ? { id: Number(metafield.legacyResourceId), value: metafield.value } : null];
+    }));
+  }
+
+  return { source: graphql.sourceOf(node), item };
+}
+
+export async function fetchNodes(context, type, ids, metafields) {
+  const resource = getResource(type);
+  const data = await graphqlRequest(context, `
+    query Nodes($ids: [ID!]!) {
+      nodes(ids: $ids) { ... on ${resource.graphql.typeName} { ${nodeFields(resource, metafields)} } }
+    }
+  `, { ids });
+
+  return data.nodes.filter(Boolean).map(node => fromNode(type, node, metafields).item);
+}
+
+// Updates are [{ id, content, handle }] with GraphQL ids; results keep their order.
+export async function updateResources(context, type, updates) {
+  const { graphql } = getResource(type);
+  const operations = updates.map(update => graphql.update(update.id, update));
+  const results = await runMutations(context, operations);
+
+  return results.map((result, i) => ({
+    errors: result.errors.map(error => error.message),
+    handle: result.data?.[operations[i].resultKey]?.handle || null
+  }));
+}
+
+const errorIndex = (field) => {
+  const index = Number((field || [])[1]);
+  return Number.isInteger(index) ? index : null;
+};
+
+// metafieldsSet is atomic, so one rejected value fails every field sent with it.
+export async function setMetafields(context, metafields) {
+  const chunks = [];
+  for (let start = 0; start < metafields.length; start += METAFIELDS_PER_CALL) {
+    chunks.push(metafields.slice(start, start + METAFIELDS_PER_CALL));
+  }
+
+  const results = await runMutations(context, chunks.map(chunk => ({
+    mutation: 'metafieldsSet',
+    arguments: {
+      metafields: ['[MetafieldsSetInput!]!', chunk.map(metafield => ({ ...metafield, type: METAFIELD_TYPE }))]
+    },
+    returns: 'metafields { id }'
+  })));
+
+  return chunks.flatMap((chunk, c) => {
+    const { errors } = results[c];
+    return chunk.map((metafield, i) => {
+      if (errors.length === 0) return [];
+
+      const own = errors.filter(error => errorIndex(error.field) === i || errorIndex(error.field) === null);
+      return own.length > 0
+        ? own.map(error => error.message)
+        : ['Not saved because another field in the same batch was rejected'];
+    });
+  });
+}
@@ -0,0 +1,190 @@
+import { isIP } from 'net';
+import { shopifyFetch } from './request';
+import { safeFetch, OutboundRequestError } from '../outbound';
+
+// Shopify keeps each stable version for about a year; override when this one nears retirement.
+export const DEFAULT_API_VERSION = process.env.SHOPIFY_API_VERSION || '2025-07';
+
+const API_VERSION_PATTERN = /^(\d{4}-(01|04|07|10)|unstable)$/;
+const DEPRECATION_HEADER = 'x-shopify-api-deprecated-reason';
+const MYSHOPIFY_DOMAIN = /^[a-z\d][a-z\d-]*\.myshopify\.com$/;
+
+export class ShopifyError extends Error {
+  constructor(message, { status = null } = {}) {
+    super(message);
+    this.name = 'ShopifyError';
+    this.status = status;
+  }
+}
+
+export class InvalidStoreUrlError extends ShopifyError {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidStoreUrlError';
+  }
+}
+
+export class ShopifyAuthError extends ShopifyError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'ShopifyAuthError';
+  }
+}
+
+export class ShopifyNotFoundError extends ShopifyError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'ShopifyNotFoundError';
+  }
+}
+
+export class ShopifyRateLimitError extends ShopifyError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'ShopifyRateLimitError';
+  }
+}
+
+const ERRORS_BY_STATUS = {
+  401: ShopifyAuthError,
+  403: ShopifyAuthError,
+  404: ShopifyNotFoundError,
+  429: ShopifyRateLimitError
+};
+
+// Keeps the "Failed to <action> (<status>)" wording the logs have always used.
+export function responseError(response, action) {
+  const ErrorType = ERRORS_BY_STATUS[response.status] || ShopifyError;
+  return new ErrorType(`Failed to ${action} (${response.status})`, { status: response.status });
+}
+
+// Turns client errors into something a store owner can act on.
+export function describeShopifyError(error) {
+  if (error instanceof ShopifyAuthError) {
+    return `The access token was rejected (${error.status}). Check the token and its scopes.`;
+  }
+  if (error instanceof ShopifyNotFoundError) {
+    return `Nothing found at this address (${error.status}). Check the store URL.`;
+  }
+  if (error instanceof OutboundRequestError) {
+    return `Request refused: ${error.message}`;
+  }
+  return error.message;
+}
+
+// Accepts "shop.myshopify.com", "https://shop.myshopify.com/admin" and the like; returns the host.
+// Ports, credentials and IP addresses are refused outright.
+export function normalizeStoreUrl(storeUrl) {
+  const value = String(storeUrl || '').trim();
+  if (!value) {
+    throw new InvalidStoreUrlError('Store URL is required');
+  }
+
+  let url;
+  try {
+    url = new URL(/^[a-z][a-z\d+.-]*:\/\//i.test(value) ? value : `https://${value}`);
+  } catch (error) {
+    throw new InvalidStoreUrlError(`"${value}" is not a valid store URL`);
+  }
+
+  const hostname = url.hostname.toLowerCase();
+  if (!['http:', 'https:'].includes(url.protocol) || !hostname.includes('.')) {
+    throw new InvalidStoreUrlError(`"${value}" is not a valid store URL`);
+  }
+  if (url.username || url.password || url.port) {
+    throw new InvalidStoreUrlError('Store URL must not include a port or credentials');
+  }
+  if (isIP(hostname.replace(/^\[|\]$/g, ''))) {
+    throw new InvalidStoreUrlError('Store URL must be a domain name, not an IP address');
+  }
+  return hostname;
+}
+
+export function isMyshopifyDomain(host) {
+  return MYSHOPIFY_DOMAIN.test(host);
+}
+
+// Custom domains are looked up through the storefront's public shop endpoint
+// (/meta.json), which names the store's myshopify.com domain.
+export async function resolveStoreDomain(storeUrl) {
+  const host = normalizeStoreUrl(storeUrl);
+  if (isMyshopifyDomain(host)) return host;
+
+  let response;
+  try {
+    response = await safeFetch(`https://${host}/meta.json`, { headers: { Accept: 'application/json' } });
+  } catch (error) {
+    throw new InvalidStoreUrlError(`Could not check ${host}: ${error.message}`);
+  }
+
+  const meta = response.ok ? await response.json().catch(() => null) : null;
+  const domain = String(meta?.myshopify_domain || '').toLowerCase();
+  if (!isMyshopifyDomain(domain)) {
+    throw new InvalidStoreUrlError(`${host} does not look like a Shopify store. Enter its .myshopify.com address instead.`);
+  }
+  return domain;
+}
+
+export function resolveApiVersion(apiVersion) {
+  const version = apiVersion || DEFAULT_API_VERSION;
+  if (!API_VERSION_PATTERN.test(version)) {
+    throw new ShopifyError(`Unknown Shopify API version "${version}" (expected e.g. 2025-07)`);
+  }
+  return version;
+}
+
+// Every Admin API call goes through a client so the version, auth headers and
+// deprecation notices are handled in one place. Paths are relative to the
+// versioned admin URL; absolute URLs (pagination links) are used as given, but
+// only on the shop's own host so the access token is never sent elsewhere.
+export function createShopifyClient({ store, accessToken, apiVersion, onDeprecation }) {
+  const shop = normalizeStoreUrl(store);
+  if (!isMyshopifyDomain(shop)) {
+    throw new InvalidStoreUrlError(`Admin API calls only go to .myshopify.com domains, not ${shop}`);
+  }
+  const version = resolveApiVersion(apiVersion);
+  const baseUrl = `https://${shop}/admin/api/${version}`;
+  const headers = {
+    'X-Shopify-Access-Token': accessToken,
+    'Content-Type': 'application/json'
+  };
+  const reported = new Set();
+
+  const reportDeprecation = (response, url) => {
+    const reason = response.headers.get(DEPRECATION_HEADER);
+    if (!reason || !onDeprecation) return;
+
+    const endpoint = new URL(url).pathname.replace(`/admin/api/${version}/`, '').replace(/\/\d+/g, '/:id');
+    if (reported.has(`${endpoint} ${reason}`)) return;
+
+    reported.add(`${endpoint} ${reason}`);
+    onDeprecation({ endpoint, reason, apiVersion: version });
+  };
+
+  const request = async (path, options = {}) => {
+    const url = /^https:\/\//.test(path) ? path : `${baseUrl}/${path}`;
+    const { host } = new URL(url);
+    if (host !== shop) {
+      throw new OutboundRequestError(`Refusing to send the ${shop} access token to ${host}`);
+    }
+    const response = await shopifyFetch(url, { ...options, headers: { ...headers, ...options.headers } });
+    reportDeprecation(response, url);
+    return response;
+  };
+
+  return {
+    shop,
+    apiVersion: version,
+    baseUrl,
+    graphqlUrl: `${baseUrl}/graphql.json`,
+    request
+  };
+}
+
+// Sends deprecation notices to an SSE log stream as warnings.
+export function logDeprecations(sendUpdate) {
+  return ({ endpoint, reason, apiVersion }) => sendUpdate({
+    log: `⚠️ Shopify marks ${endpoint} as deprecated in ${apiVersion}: ${reason}`,
+    type: 'warning'
+  });
+}
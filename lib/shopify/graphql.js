@@ -0,0 +1,189 @@
+import { ShopifyError, ShopifyRateLimitError, responseError } from './client';
+import { safeFetch } from '../outbound';
+
+const MAX_THROTTLE_RETRIES = 3;
+const BULK_POLL_MS = 2000;
+const MUTATION_BATCH_SIZE = 10;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export function legacyId(gid) {
+  return Number(String(gid).split('/').pop());
+}
+
+export function toGid(type, id) {
+  return `gid://shopify/${type}/${id}`;
+}
+
+// GraphQL throttling comes back as a 200 with a THROTTLED error, so the
+// scheduler's 429 handling never sees it; wait for the bucket to refill instead.
+const throttleDelay = (body) => {
+  const throttled = (body.errors || []).some(error => error.extensions?.code === 'THROTTLED');
+  if (!throttled) return null;
+
+  const cost = body.extensions?.cost;
+  const status = cost?.throttleStatus;
+  if (!status) return 1000;
+
+  const missing = cost.requestedQueryCost - status.currentlyAvailable;
+  return Math.max(1000, Math.ceil(missing / status.restoreRate) * 1000);
+};
+
+// Articles and pages need API version 2024-07 or later.
+export async function graphqlRequest(client, query, variables = {}) {
+  for (let attempt = 0; ; attempt++) {
+    const response = await client.request(client.graphqlUrl, {
+      method: 'POST',
+      body: JSON.stringify({ query, variables })
+    });
+    if (!response.ok) {
+      throw responseError(response, 'run GraphQL request');
+    }
+
+    const body = await response.json();
+    const delay = throttleDelay(body);
+    if (delay !== null) {
+      if (attempt >= MAX_THROTTLE_RETRIES) {
+        throw new ShopifyRateLimitError('GraphQL request was throttled');
+      }
+      await sleep(delay);
+      continue;
+    }
+
+    if (body.errors?.length) {
+      throw new ShopifyError(body.errors.map(error => error.message).join('; '));
+    }
+    return body.data;
+  }
+}
+
+const BULK_OPERATION_FIELDS = 'id status errorCode objectCount url partialDataUrl';
+
+export async function startBulkQuery(context, query) {
+  const data = await graphqlRequest(context, `
+    mutation RunBulkQuery($query: String!) {
+      bulkOperationRunQuery(query: $query) {
+        bulkOperation { ${BULK_OPERATION_FIELDS} }
+        userErrors { field message }
+      }
+    }
+  `, { query });
+
+  const { bulkOperation, userErrors } = data.bulkOperationRunQuery;
+  if (userErrors.length > 0) {
+    throw new ShopifyError(userErrors.map(error => error.message).join('; '));
+  }
+  return bulkOperation;
+}
+
+export async function fetchBulkOperation(context, id) {
+  const data = await graphqlRequest(context, `
+    query BulkOperation($id: ID!) {
+      node(id: $id) { ... on BulkOperation { ${BULK_OPERATION_FIELDS} } }
+    }
+  `, { id });
+
+  if (!data.node) {
+    throw new ShopifyError(`Bulk operation ${id} not found`);
+  }
+  return data.node;
+}
+
+const RUNNING_STATUSES = ['CREATED', 'RUNNING', 'CANCELING'];
+
+// Resolves with the finished operation, or null if the deadline passes first so
+// a later chunk can pick up polling where this one stopped.
+export async function waitForBulkOperation(context, id, { deadline, onProgress, interval = BULK_POLL_MS }) {
+  while (true) {
+    const operation = await fetchBulkOperation(context, id);
+    if (!RUNNING_STATUSES.includes(operation.status)) return operation;
+
+    onProgress?.(operation);
+    if (Date.now() + interval >= deadline) return null;
+    await sleep(interval);
+  }
+}
+
+// Results can run to hundreds of megabytes, so lines are parsed as they arrive.
+// The bulk queries avoid nested connections, which keeps every line one resource.
+// Each line comes with the byte offset just past it; passing that back as `start`
+// resumes the download there with a Range request instead of from the top.
+export async function* readJsonl(url, { start = 0 } = {}) {
+  const response = await safeFetch(url, start > 0 ? { headers: { Range: `bytes=${start}-` } } : {});
+  if (response.status === 416) return;
+  if (!response.ok) {
+    throw responseError(response, 'download bulk results');
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  // A server that ignores the Range header sends the whole file, so the start is skipped here.
+  let skip = response.status === 206 ? 0 : start;
+  let position = start - skip;
+  let buffer = Buffer.alloc(0);
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      let chunk = value ? Buffer.from(value) : Buffer.alloc(0);
+
+      if (skip > 0) {
+        const skipped = Math.min(skip, chunk.length);
+        chunk = chunk.subarray(skipped);
+        skip -= skipped;
+        position += skipped;
+      }
+      buffer = Buffer.concat([buffer, chunk]);
+
+      let newline;
+      while ((newline = buffer.indexOf(10)) !== -1) {
+        const line = decoder.decode(buffer.subarray(0, newline));
+        buffer = buffer.subarray(newline + 1);
+        position += newline + 1;
+        if (line.trim()) yield { node: JSON.parse(line), end: position };
+      }
+
+      if (done) {
+        const line = decoder.decode(buffer);
+        if (line.trim()) yield { node: JSON.parse(line), end: position + buffer.length };
+        break;
+      }
+    }
+  } finally {
+    reader.cancel().catch(() => {});
+  }
+}
+
+// Each operation is { mutation, arguments: { name: [type, value] }, returns }.
+// Operations are sent as aliased fields, several to a document, and every
+// result comes back in order as { data, errors } with errors as userErrors.
+export async function runMutations(context, operations) {
+  const results = [];
+
+  for (let start = 0; start < operations.length; start += MUTATION_BATCH_SIZE) {
+    const batch = operations.slice(start, start + MUTATION_BATCH_SIZE);
+    const declarations = [];
+    const variables = {};
+
+    const fields = batch.map((operation, i) => {
+      const args = Object.entries(operation.arguments).map(([name, [type, value]]) => {
+        declarations.push(`$${name}${i}: ${type}`);
+        variables[`${name}${i}`] = value;
+        return `${name}: $${name}${i}`;
+      });
+      return `m${i}: ${operation.mutation}(${args.join(', ')}) { ${operation.returns} userErrors { field message } }`;
+    });
+
+    try {
+      const data = await graphqlRequest(context, `mutation Batch(${declarations.join(', ')}) {\n${fields.join('\n')}\n}`, variables);
+      batch.forEach((operation, i) => {
+        const result = data[`m${i}`] || {};
+        results.push({ data: result, errors: result.userErrors || [] });
+      });
+    } catch (error) {
+      batch.forEach(() => results.push({ data: null, errors: [{ field: null, message: error.message }] }));
+    }
+  }
+
+  return results;
+}
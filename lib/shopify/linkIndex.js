@@ -0,0 +1,113 @@
+import { fetchPage, MAX_PAGE_SIZE } from './pagination';
+import { responseError } from './client';
+
+const fetchShopDomains = async (client) => {
+  const response = await client.request('shop.json');
+  if (!response.ok) {
+    throw responseError(response, 'fetch shop');
+  }
+
+  const { shop } = await response.json();
+  return { primaryDomain: shop.domain, myshopifyDomain: shop.myshopify_domain };
+};
+
+// Collections come from two lists; blog articles get a step per blog once the blogs are known.
+const INDEX_STEPS = [
+  { group: 'blogs', path: 'blogs.json', key: 'blogs' },
+  { group: 'pages', path: 'pages.json', key: 'pages' },
+  { group: 'products', path: 'products.json', key: 'products' },
+  { group: 'collections', path: 'custom_collections.json', key: 'custom_collections' },
+  { group: 'collections', path: 'smart_collections.json', key: 'smart_collections' },
+  { group: 'redirects', path: 'redirects.json', key: 'redirects' }
+];
+
+const firstPageUrl = ({ group, path }) =>
+  `${path}?limit=${MAX_PAGE_SIZE}${group === 'redirects' ? '' : '&fields=id,handle'}`;
+
+const addItems = (state, step, items) => {
+  const { index } = state;
+
+  if (step.group === 'redirects') {
+    items.forEach(({ path, target }) => {
+      index.redirects[path.toLowerCase()] = target;
+    });
+    return;
+  }
+
+  const handles = index.handles[step.group] || (index.handles[step.group] = []);
+  if (step.group === 'articles') {
+    handles.push(...items.map(item => `${step.prefix}/${item.handle}`));
+    return;
+  }
+
+  handles.push(...items.map(item => item.handle));
+  if (step.group === 'blogs') {
+    state.steps.push(...items.map(blog => ({
+      group: 'articles',
+      path: `blogs/${blog.id}/articles.json`,
+      key: 'articles',
+      prefix: blog.handle
+    })));
+  }
+};
+
+export function startLinkIndex() {
+  return {
+    steps: INDEX_STEPS.map(step => ({ ...step })),
+    stepIndex: 0,
+    nextUrl: null,
+    failedGroups: [],
+    index: { primaryDomain: null, myshopifyDomain: null, handles: {}, redirects: {}, unavailable: [] }
+  };
+}
+
+// Handles are grouped by URL prefix. A group that could not be loaded (usually a
+// missing scope) is left out, and links into it are not judged.
+// The index is loaded a page at a time so a large store can be indexed over
+// several chunks; the state is plain JSON and resolves true once it is complete.
+export async function continueLinkIndex(client, state, { deadline = Infinity } = {}) {
+  const { index } = state;
+  if (!index.myshopifyDomain) {
+    Object.assign(index, await fetchShopDomains(client));
+  }
+
+  // At least one page is loaded per call, so a short budget still makes progress.
+  let loaded = false;
+  while (state.stepIndex < state.steps.length) {
+    if (loaded && Date.now() >= deadline) return false;
+    loaded = true;
+
+    const step = state.steps[state.stepIndex];
+    if (!state.failedGroups.includes(step.group)) {
+      try {
+        const page = await fetchPage(client, state.nextUrl || firstPageUrl(step), step.key);
+        addItems(state, step, page.items);
+        state.nextUrl = page.nextUrl;
+        if (state.nextUrl) continue;
+      } catch (error) {
+        state.failedGroups.push(step.group);
+        state.nextUrl = null;
+        delete index.handles[step.group];
+        if (step.group === 'redirects') index.redirects = {};
+        index.unavailable.push(`${step.group}: ${error.message}`);
+      }
+    }
+
+    state.stepIndex++;
+  }
+
+  return true;
+}
+
+export function countLinkTargets(index) {
+  return Object.values(index.handles).reduce((total, handles) => total + handles.length, 0);
+}
+
+export function prepareLinkIndex(index) {
+  return {
+    ...index,
+    handles: Object.fromEntries(
+      Object.entries(index.handles).map(([group, handles]) => [group, new Set(handles)])
+    )
+  };
+}
@@ -0,0 +1,58 @@
+import { responseError } from './client';
+import { MAX_PAGE_SIZE } from './pagination';
+
+export const SEO_NAMESPACE = 'global';
+export const SEO_TITLE_KEY = 'title_tag';
+export const SEO_DESCRIPTION_KEY = 'description_tag';
+
+export const METAFIELD_TYPE = 'single_line_text_field';
+
+// Extra fields are named "namespace.key"; asking for any widens the query to every namespace.
+export async function fetchSeoMetafields(client, basePath, { extra = [] } = {}) {
+  const query = extra.length > 0 ? `limit=${MAX_PAGE_SIZE}` : `namespace=${SEO_NAMESPACE}`;
+  const response = await client.request(`${basePath}.json?${query}`);
+  if (!response.ok) {
+    throw responseError(response, 'fetch metafields');
+  }
+
+  const { metafields = [] } = await response.json();
+  const find = (namespace, key) => {
+    const metafield = metafields.find(m => m.namespace === namespace && m.key === key);
+    return metafield ? { id: metafield.id, value: metafield.value } : null;
+  };
+
+  return {
+    [SEO_TITLE_KEY]: find(SEO_NAMESPACE, SEO_TITLE_KEY),
+    [SEO_DESCRIPTION_KEY]: find(SEO_NAMESPACE, SEO_DESCRIPTION_KEY),
+    ...Object.fromEntries(extra.map(name => {
+      const [namespace, ...key] = name.split('.');
+      return [name, find(namespace, key.join('.'))];
+    }))
+  };
+}
+
+export async function writeMetafield(client, basePath, { namespace, key, value, id }) {
+  const response = id
+    ? await client.request(`${basePath}/${id}.json`, {
+      method: 'PUT',
+      body: JSON.stringify({ metafield: { id, value, type: METAFIELD_TYPE } })
+    })
+    : await client.request(`${basePath}.json`, {
+      method: 'POST',
+      body: JSON.stringify({ metafield: { namespace, key, value, type: METAFIELD_TYPE } })
+    });
+
+  return response;
+}
+
+export async function restoreMetafield(client, basePath, { namespace, key, value }) {
+  const current = await fetchSeoMetafields(client, basePath);
+  const existing = current[key];
+
+  if (value === null) {
+    if (!existing) return { ok: true };
+    return client.request(`${basePath}/${existing.id}.json`, { method: 'DELETE' });
+  }
+
+  return writeMetafield(client, basePath, { namespace, key, value, id: existing?.id });
+}
@@ -0,0 +1,135 @@
+import { createHmac, randomBytes, timingSafeEqual } from 'crypto';
+import { isMyshopifyDomain, ShopifyError } from './client';
+import { installScopes } from './scopes';
+import { safeFetch } from '../outbound';
+
+export const STATE_COOKIE = 'shopify_oauth_state';
+const STATE_MAX_AGE_SECONDS = 600;
+const HMAC_MAX_AGE_SECONDS = 90;
+
+export class OAuthError extends ShopifyError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'OAuthError';
+  }
+}
+
+// SHOPIFY_OAUTH_URL points the authorize and token endpoints at a local
+// stand-in instead of the shop. It is set by whoever runs the app, never by
+// a request, so it skips safeFetch's public-host rules.
+export function oauthConfig() {
+  const apiKey = process.env.SHOPIFY_API_KEY;
+  const apiSecret = process.env.SHOPIFY_API_SECRET;
+
+  return {
+    enabled: Boolean(apiKey && apiSecret),
+    apiKey,
+    apiSecret,
+    appUrl: process.env.SHOPIFY_APP_URL || null,
+    scopes: process.env.SHOPIFY_SCOPES || installScopes().join(','),
+    endpoint: process.env.SHOPIFY_OAUTH_URL?.replace(/\/+$/, '') || null
+  };
+}
+
+export function requireOAuthConfig() {
+  const config = oauthConfig();
+  if (!config.enabled) {
+    throw new OAuthError('OAuth is not configured. Set SHOPIFY_API_KEY and SHOPIFY_API_SECRET.');
+  }
+  return config;
+}
+
+const oauthUrl = (config, shop, path) => `${config.endpoint || `https://${shop}`}/admin/oauth/${path}`;
+
+// Shopify sends the shop as its bare myshopify.com host; anything else is refused rather than normalized.
+export function assertShopParam(shop) {
+  const value = String(shop || '');
+  if (!isMyshopifyDomain(value)) {
+    throw new OAuthError(`"${value}" is not a .myshopify.com shop domain`);
+  }
+  return value;
+}
+
+export function createState() {
+  return randomBytes(16).toString('hex');
+}
+
+export function buildAuthorizeUrl(config, { shop, state, redirectUri }) {
+  const params = new URLSearchParams({
+    client_id: config.apiKey,
+    scope: config.scopes,
+    redirect_uri: redirectUri,
+    state
+  });
+  return `${oauthUrl(config, shop, 'authorize')}?${params}`;
+}
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a || ''));
+  const right = Buffer.from(String(b || ''));
+  return left.length === right.length && timingSafeEqual(left, right);
+};
+
+// Shopify signs every other query parameter, sorted by name, with the app secret.
+export function verifyHmac(query, secret) {
+  const { hmac, signature, ...rest } = query;
+  const message = new URLSearchParams(
+    Object.keys(rest).sort().map(key => [key, [].concat(rest[key]).join(',')])
+  ).toString();
+  const digest = createHmac('sha256', secret).update(message).digest('hex');
+  return safeEqual(digest, hmac);
+}
+
+// Checks the callback query against the app secret and the state cookie set by /api/auth.
+export function verifyCallback(config, query, expectedState) {
+  if (!verifyHmac(query, config.apiSecret)) {
+    throw new OAuthError('The install request signature does not match', { status: 401 });
+  }
+
+  const age = Date.now() / 1000 - Number(query.timestamp);
+  if (!(Math.abs(age) <= HMAC_MAX_AGE_SECONDS)) {
+    throw new OAuthError('The install request has expired. Start the install again.', { status: 401 });
+  }
+
+  if (!expectedState || !safeEqual(query.state, expectedState)) {
+    throw new OAuthError('The install request state does not match. Start the install again.', { status: 401 });
+  }
+
+  return assertShopParam(query.shop);
+}
+
+export async function exchangeCode(config, { shop, code }) {
+  const url = oauthUrl(config, shop, 'access_token');
+  const request = {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+    body: JSON.stringify({ client_id: config.apiKey, client_secret: config.apiSecret, code })
+  };
+
+  const response = await (config.endpoint ? fetch(url, request) : safeFetch(url, request));
+  if (!response.ok) {
+    throw new OAuthError(`Failed to exchange the install code (${response.status})`, { status: response.status });
+  }
+
+  const data = await response.json();
+  if (!data.access_token) {
+    throw new OAuthError('Shopify did not return an access token');
+  }
+  return { accessToken: data.access_token, scope: data.scope || '' };
+}
+
+export const isSecureApp = (config) => Boolean(config.appUrl?.startsWith('https://'));
+
+export function stateCookie(config, state) {
+  const secure = isSecureApp(config) ? '; Secure' : '';
+  return `${STATE_COOKIE}=${state}; Path=/api/auth; HttpOnly; SameSite=Lax; Max-Age=${STATE_MAX_AGE_SECONDS}${secure}`;
+}
+
+export function clearStateCookie() {
+  return `${STATE_COOKIE}=; Path=/api/auth; HttpOnly; SameSite=Lax; Max-Age=0`;
+}
+
+export function redirectUri(config, req) {
+  const base = config.appUrl || `http://${req.headers.host}`;
+  return `${base.replace(/\/+$/, '')}/api/auth/callback`;
+}
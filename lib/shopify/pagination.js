@@ -0,0 +1,45 @@
+import { responseError } from './client';
+
+export const MAX_PAGE_SIZE = 250;
+
+export function parseNextLink(linkHeader) {
+  if (!linkHeader) return null;
+
+  for (const part of linkHeader.split(',')) {
+    const match = part.match(/<([^>]+)>\s*;\s*rel="?next"?/i);
+    if (match) return match[1];
+  }
+
+  return null;
+}
+
+export async function fetchPage(client, url, key) {
+  const response = await client.request(url);
+  if (!response.ok) {
+    throw responseError(response, `fetch ${key}`);
+  }
+
+  const data = await response.json();
+  return {
+    items: data[key] || [],
+    nextUrl: parseNextLink(response.headers.get('link'))
+  };
+}
+
+export async function* paginate(client, url, key) {
+  let nextUrl = url;
+
+  while (nextUrl) {
+    const page = await fetchPage(client, nextUrl, key);
+    yield page.items;
+    nextUrl = page.nextUrl;
+  }
+}
+
+export async function fetchAll(client, url, key) {
+  const items = [];
+  for await (const page of paginate(client, url, key)) {
+    items.push(...page);
+  }
+  return items;
+}
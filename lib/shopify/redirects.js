@@ -0,0 +1,19 @@
+export async function createRedirect(client, path, target) {
+  return client.request('redirects.json', {
+    method: 'POST',
+    body: JSON.stringify({ redirect: { path, target } })
+  });
+}
+
+export async function removeRedirects(client, path) {
+  const response = await client.request(`redirects.json?path=${encodeURIComponent(path)}`);
+  if (!response.ok) return response;
+
+  const { redirects = [] } = await response.json();
+  for (const redirect of redirects) {
+    const deleteResponse = await client.request(`redirects/${redirect.id}.json`, { method: 'DELETE' });
+    if (!deleteResponse.ok) return deleteResponse;
+  }
+
+  return response;
+}
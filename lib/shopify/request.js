@@ -0,0 +1,140 @@
+import { safeFetch, OutboundRequestError } from '../outbound';
+
+const DEFAULT_CONCURRENCY = Number(process.env.SHOPIFY_CONCURRENCY) || 2;
+const MAX_RETRIES = 5;
+const BASE_BACKOFF_MS = 500;
+const MAX_BACKOFF_MS = 30000;
+const LEAK_RATE_PER_SECOND = 2;
+const BUCKET_HEADROOM = 4;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE'];
+
+// GraphQL queries are sent as POSTs but change nothing.
+const isGraphqlQuery = (url, options) => {
+  if (!new URL(url).pathname.endsWith('/graphql.json')) return false;
+  try {
+    return !/^\s*mutation\b/.test(JSON.parse(options.body).query);
+  } catch (error) {
+    return false;
+  }
+};
+
+// A 429 is refused before anything runs, so any request can be sent again. A
+// 5xx or a dropped connection may come after a write went through. Sending a
+// PUT or DELETE again ends in the same state, but a REST POST could create a
+// second redirect or metafield and a mutation could apply twice, so those do not retry.
+export function isIdempotent(url, options = {}) {
+  const method = (options.method || 'GET').toUpperCase();
+  return IDEMPOTENT_METHODS.includes(method) || (method === 'POST' && isGraphqlQuery(url, options));
+}
+
+const isRetryable = (status, idempotent) => status === 429 || (status >= 500 && idempotent);
+
+const backoff = (attempt) =>
+  Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** attempt) + Math.floor(Math.random() * 250);
+
+export function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return seconds * 1000;
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+export function parseCallLimit(value) {
+  const match = value && value.match(/^(\d+)\/(\d+)$/);
+  return match ? { used: Number(match[1]), max: Number(match[2]) } : null;
+}
+
+export function createScheduler({ concurrency = DEFAULT_CONCURRENCY, maxRetries = MAX_RETRIES } = {}) {
+  let active = 0;
+  let pausedUntil = 0;
+  const waiting = [];
+
+  const acquire = () => new Promise(resolve => {
+    if (active < concurrency) {
+      active++;
+      resolve();
+    } else {
+      waiting.push(resolve);
+    }
+  });
+
+  const release = () => {
+    const next = waiting.shift();
+    if (next) {
+      next();
+    } else {
+      active--;
+    }
+  };
+
+  const pauseFor = (ms) => {
+    pausedUntil = Math.max(pausedUntil, Date.now() + ms);
+  };
+
+  const observe = (response) => {
+    const callLimit = parseCallLimit(response.headers.get('x-shopify-shop-api-call-limit'));
+    if (!callLimit) return;
+
+    const excess = callLimit.used - (callLimit.max - BUCKET_HEADROOM);
+    if (excess > 0) {
+      pauseFor((excess / LEAK_RATE_PER_SECOND) * 1000);
+    }
+  };
+
+  const request = async (url, options = {}) => {
+    const idempotent = isIdempotent(url, options);
+    await acquire();
+
+    try {
+      for (let attempt = 0; ; attempt++) {
+        const wait = pausedUntil - Date.now();
+        if (wait > 0) await sleep(wait);
+
+        let response;
+        try {
+          response = await safeFetch(url, options);
+        } catch (error) {
+          if (error instanceof OutboundRequestError || !idempotent || attempt >= maxRetries) throw error;
+          await sleep(backoff(attempt));
+          continue;
+        }
+
+        observe(response);
+
+        if (!isRetryable(response.status, idempotent) || attempt >= maxRetries) {
+          return response;
+        }
+
+        const delay = parseRetryAfter(response.headers.get('retry-after')) ?? backoff(attempt);
+        if (response.status === 429) {
+          pauseFor(delay);
+        }
+
+        await response.body?.cancel();
+        await sleep(delay);
+      }
+    } finally {
+      release();
+    }
+  };
+
+  return { request };
+}
+
+const schedulers = new Map();
+
+export function shopifyFetch(url, options) {
+  const { host } = new URL(url);
+
+  if (!schedulers.has(host)) {
+    schedulers.set(host, createScheduler());
+  }
+
+  return schedulers.get(host).request(url, options);
+}
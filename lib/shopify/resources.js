@@ -0,0 +1,172 @@
+import { fetchAll, MAX_PAGE_SIZE } from './pagination';
+import { legacyId } from './graphql';
+
+const staticSource = (type, title) => ({ type, id: null, title, path: `${type}.json` });
+
+const singleSource = (type, title) => async () => [staticSource(type, title)];
+
+const changedFields = (bodyField, { content, handle }) => ({
+  ...(content !== null && { [bodyField]: content }),
+  ...(handle && { handle })
+});
+
+// Articles and pages take the id beside the input; products and collections inside it.
+const updateById = (mutation, argument, inputType, bodyField) => (id, changes) => ({
+  mutation,
+  arguments: { id: ['ID!', id], [argument]: [inputType, changedFields(bodyField, changes)] },
+  returns: `${argument} { id handle }`,
+  resultKey: argument
+});
+
+const updateByInput = (mutation, argument, resultKey, inputType, bodyField) => (id, changes) => ({
+  mutation,
+  arguments: { [argument]: [inputType, { id, ...changedFields(bodyField, changes) }] },
+  returns: `${resultKey} { id handle }`,
+  resultKey
+});
+
+const tagList = (tags) => (tags || []).join(', ');
+
+// `scopes` lists access-scope families that each grant the resource; any one will do.
+// `linkTarget` names the link-index group and entry an item's handle occupies.
+export const RESOURCES = {
+  articles: {
+    label: 'Blog posts',
+    listKey: 'articles',
+    itemKey: 'article',
+    scopes: ['content'],
+    discoverSources: async (client) => {
+      const blogs = await fetchAll(client, `blogs.json?limit=${MAX_PAGE_SIZE}`, 'blogs');
+      return blogs.map(blog => ({
+        type: 'articles',
+        id: blog.id,
+        title: blog.title,
+        handle: blog.handle,
+        path: `blogs/${blog.id}/articles.json`
+      }));
+    },
+    itemPath: (sourceId, id) => `blogs/${sourceId}/articles/${id}.json`,
+    metafieldsPath: (sourceId, id) => `blogs/${sourceId}/articles/${id}/metafields`,
+    urlPath: (source, handle) => `/blogs/${source.handle}/${handle}`,
+    linkTarget: (source, handle) => ({ group: 'articles', handle: `${source.handle}/${handle}` }),
+    graphql: {
+      typeName: 'Article',
+      connection: 'articles',
+      fields: 'body summary tags publishedAt blog { id title handle }',
+      toItem: (node) => ({
+        body_html: node.body,
+        summary_html: node.summary,
+        tags: tagList(node.tags),
+        published_at: node.publishedAt
+      }),
+      sourceOf: ({ blog }) => ({
+        type: 'articles',
+        id: legacyId(blog.id),
+        title: blog.title,
+        handle: blog.handle,
+        path: `blogs/${legacyId(blog.id)}/articles.json`
+      }),
+      update: updateById('articleUpdate', 'article', 'ArticleUpdateInput!', 'body')
+    }
+  },
+  pages: {
+    label: 'Pages',
+    listKey: 'pages',
+    itemKey: 'page',
+    scopes: ['content', 'online_store_pages'],
+    discoverSources: singleSource('pages', 'Online Store Pages'),
+    itemPath: (sourceId, id) => `pages/${id}.json`,
+    metafieldsPath: (sourceId, id) => `pages/${id}/metafields`,
+    urlPath: (source, handle) => `/pages/${handle}`,
+    linkTarget: (source, handle) => ({ group: 'pages', handle }),
+    graphql: {
+      typeName: 'Page',
+      connection: 'pages',
+      fields: 'body publishedAt',
+      toItem: (node) => ({ body_html: node.body, published_at: node.publishedAt }),
+      sourceOf: () => staticSource('pages', 'Online Store Pages'),
+      update: updateById('pageUpdate', 'page', 'PageUpdateInput!', 'body')
+    }
+  },
+  products: {
+    label: 'Products',
+    listKey: 'products',
+    itemKey: 'product',
+    scopes: ['products'],
+    discoverSources: singleSource('products', 'Products'),
+    itemPath: (sourceId, id) => `products/${id}.json`,
+    metafieldsPath: (sourceId, id) => `products/${id}/metafields`,
+    urlPath: (source, handle) => `/products/${handle}`,
+    linkTarget: (source, handle) => ({ group: 'products', handle }),
+    graphql: {
+      typeName: 'Product',
+      connection: 'products',
+      fields: 'descriptionHtml tags publishedAt',
+      toItem: (node) => ({
+        body_html: node.descriptionHtml,
+        tags: tagList(node.tags),
+        published_at: node.publishedAt
+      }),
+      sourceOf: () => staticSource('products', 'Products'),
+      update: updateByInput('productUpdate', 'product', 'product', 'ProductUpdateInput!', 'descriptionHtml')
+    }
+  },
+  custom_collections: {
+    label: 'Custom collections',
+    listKey: 'custom_collections',
+    itemKey: 'custom_collection',
+    scopes: ['products'],
+    discoverSources: singleSource('custom_collections', 'Custom collections'),
+    itemPath: (sourceId, id) => `custom_collections/${id}.json`,
+    metafieldsPath: (sourceId, id) => `collections/${id}/metafields`,
+    urlPath: (source, handle) => `/collections/${handle}`,
+    linkTarget: (source, handle) => ({ group: 'collections', handle }),
+    graphql: {
+      typeName: 'Collection',
+      connection: 'collections',
+      filter: 'collection_type:custom',
+      fields: 'descriptionHtml',
+      toItem: (node) => ({ body_html: node.descriptionHtml }),
+      sourceOf: () => staticSource('custom_collections', 'Custom collections'),
+      update: updateByInput('collectionUpdate', 'input', 'collection', 'CollectionInput!', 'descriptionHtml')
+    }
+  },
+  smart_collections: {
+    label: 'Smart collections',
+    listKey: 'smart_collections',
+    itemKey: 'smart_collection',
+    scopes: ['products'],
+    discoverSources: singleSource('smart_collections', 'Smart collections'),
+    itemPath: (sourceId, id) => `smart_collections/${id}.json`,
+    metafieldsPath: (sourceId, id) => `collections/${id}/metafields`,
+    urlPath: (source, handle) => `/collections/${handle}`,
+    linkTarget: (source, handle) => ({ group: 'collections', handle }),
+    graphql: {
+      typeName: 'Collection',
+      connection: 'collections',
+      filter: 'collection_type:smart',
+      fields: 'descriptionHtml',
+      toItem: (node) => ({ body_html: node.descriptionHtml }),
+      sourceOf: () => staticSource('smart_collections', 'Smart collections'),
+      update: updateByInput('collectionUpdate', 'input', 'collection', 'CollectionInput!', 'descriptionHtml')
+    }
+  }
+};
+
+export const DEFAULT_RESOURCE_TYPES = ['articles'];
+
+export function resourceKey(type, id) {
+  return `${type}:${id}`;
+}
+
+export function getResource(type) {
+  const resource = RESOURCES[type];
+  if (!resource) {
+    throw new Error(`Unknown resource type: ${type}`);
+  }
+  return resource;
+}
+
+export function describeResources() {
+  return Object.entries(RESOURCES).map(([type, { label }]) => ({ type, label }));
+}
@@ -0,0 +1,61 @@
+import { RESOURCES, getResource } from './resources';
+import { responseError } from './client';
+import { selectRules } from '../seo/rules';
+
+const NAVIGATION = 'online_store_navigation';
+
+// A write scope includes the matching read access.
+const grants = (granted, access, families) => families.some(family =>
+  granted.includes(`${access}_${family}`) || (access === 'read' && granted.includes(`write_${family}`))
+);
+
+// Requirements are { access, families, reason, optional }. Optional ones only
+// switch off part of a run (link checks degrade without redirects), so they
+// never block it.
+export function requiredScopes({ mode, resourceTypes = [], rules, fixRules }) {
+  const selected = selectRules(rules);
+  const fixing = fixRules ? selectRules(fixRules) : selected.filter(rule => !rule.optIn);
+  const requirements = [];
+
+  resourceTypes.forEach(type => {
+    const { label, scopes } = getResource(type);
+    requirements.push({ access: 'read', families: scopes, reason: `Scan ${label.toLowerCase()}` });
+    if (mode === 'fix') {
+      requirements.push({ access: 'write', families: scopes, reason: `Fix ${label.toLowerCase()}` });
+    }
+  });
+
+  if (selected.some(rule => (rule.needs || []).includes('links'))) {
+    requirements.push({ access: 'read', families: [NAVIGATION], reason: 'Check links against URL redirects', optional: true });
+  }
+  if (mode === 'fix' && fixing.some(rule => (rule.needs || []).includes('handle'))) {
+    requirements.push({ access: 'write', families: [NAVIGATION], reason: 'Add 301 redirects for renamed handles' });
+  }
+
+  return requirements;
+}
+
+// Names the first family of each unmet requirement, e.g. "write_content".
+export function missingScopes(granted, requirements) {
+  return requirements
+    .filter(({ access, families }) => !grants(granted, access, families))
+    .map(({ access, families, reason, optional = false }) => ({ scope: `${access}_${families[0]}`, reason, optional }));
+}
+
+// Everything a fix run could need, requested once at install so any later
+// selection works. The first family of each resource is enough.
+export function installScopes() {
+  const families = [...new Set([...Object.values(RESOURCES).map(({ scopes }) => scopes[0]), NAVIGATION])];
+  return families.flatMap(family => [`read_${family}`, `write_${family}`]);
+}
+
+// The scopes endpoint sits outside the versioned API path.
+export async function fetchAccessScopes(client) {
+  const response = await client.request(`https://${client.shop}/admin/oauth/access_scopes.json`);
+  if (!response.ok) {
+    throw responseError(response, 'fetch access scopes');
+  }
+
+  const { access_scopes: scopes = [] } = await response.json();
+  return scopes.map(({ handle }) => handle);
+}
@@ -0,0 +1,185 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+
+const READ_ONLY_CODES = ['EROFS', 'EACCES', 'EPERM'];
+const KV_PREFIX = 'seo-fixer';
+
+export class StorageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'StorageError';
+  }
+}
+
+// Serverless hosts such as Vercel mount the deployment read-only and keep no
+// files between invocations, so there records go to a KV store or a directory
+// chosen explicitly.
+const dataDir = () => {
+  if (process.env.SEO_FIXER_DATA_DIR) return process.env.SEO_FIXER_DATA_DIR;
+  if (process.env.VERCEL) {
+    throw new StorageError('No storage configured. Connect a KV (Upstash Redis) store so KV_REST_API_URL and KV_REST_API_TOKEN are set, or set SEO_FIXER_DATA_DIR to persistent, writable storage; backups and jobs cannot be kept on the read-only deployment.');
+  }
+  return path.join(process.cwd(), '.data');
+};
+
+const segmentPath = (segments) =>
+  path.join(dataDir(), ...segments.map(segment => encodeURIComponent(String(segment))));
+
+const fileBackend = {
+  async write(segments, value) {
+    const file = `${segmentPath(segments)}.json`;
+    try {
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, JSON.stringify(value, null, 2));
+    } catch (error) {
+      if (READ_ONLY_CODES.includes(error.code)) {
+        throw new StorageError(`Cannot write to the data directory ${dataDir()} (${error.code}). Set SEO_FIXER_DATA_DIR to a writable location.`);
+      }
+      throw error;
+    }
+  },
+
+  async read(segments) {
+    try {
+      return JSON.parse(await fs.readFile(`${segmentPath(segments)}.json`, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  },
+
+  async list(segments) {
+    let entries;
+    try {
+      entries = await fs.readdir(segmentPath(segments));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    return entries
+      .filter(entry => entry.endsWith('.json'))
+      .map(entry => decodeURIComponent(entry.slice(0, -5)));
+  },
+
+  async listCollections(segments) {
+    try {
+      const entries = await fs.readdir(segmentPath(segments), { withFileTypes: true });
+      return entries
+        .filter(entry => entry.isDirectory())
+        .map(entry => decodeURIComponent(entry.name));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  },
+
+  async delete(segments) {
+    try {
+      await fs.unlink(`${segmentPath(segments)}.json`);
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+};
+
+// Vercel's KV integration and Upstash both expose Redis over a REST API.
+const kvConfig = () => {
+  const url = process.env.KV_REST_API_URL || process.env.UPSTASH_REDIS_REST_URL;
+  const token = process.env.KV_REST_API_TOKEN || process.env.UPSTASH_REDIS_REST_TOKEN;
+  return url && token ? { url: url.replace(/\/+$/, ''), token } : null;
+};
+
+const kvKey = (kind, segments) =>
+  `${KV_PREFIX}:${kind}:${segments.map(segment => encodeURIComponent(String(segment))).join('/')}`;
+
+async function kvCommands(commands) {
+  const { url, token } = kvConfig();
+  let response;
+  try {
+    response = await fetch(`${url}/pipeline`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify(commands)
+    });
+  } catch (error) {
+    throw new StorageError(`Cannot reach the KV store: ${error.message}`);
+  }
+  if (!response.ok) {
+    throw new StorageError(`KV store request failed (${response.status}): ${await response.text().catch(() => '')}`);
+  }
+
+  const replies = await response.json();
+  const failed = replies.find(reply => reply.error);
+  if (failed) {
+    throw new StorageError(`KV store request failed: ${failed.error}`);
+  }
+  return replies.map(reply => reply.result);
+}
+
+// Keys have no directories to list, so each write also adds the record to a set
+// under its parent and every parent to the set of collections above it.
+const kvBackend = {
+  async write(segments, value) {
+    const names = segments.map(String);
+    const parent = names.slice(0, -1);
+    await kvCommands([
+      ['SET', kvKey('record', names), JSON.stringify(value)],
+      ['SADD', kvKey('records', parent), names[names.length - 1]],
+      ...parent.map((name, i) => ['SADD', kvKey('collections', parent.slice(0, i)), name])
+    ]);
+  },
+
+  async read(segments) {
+    const [value] = await kvCommands([['GET', kvKey('record', segments)]]);
+    return value === null ? null : JSON.parse(value);
+  },
+
+  async list(segments) {
+    const [names] = await kvCommands([['SMEMBERS', kvKey('records', segments)]]);
+    return names;
+  },
+
+  async listCollections(segments) {
+    const [names] = await kvCommands([['SMEMBERS', kvKey('collections', segments)]]);
+    return names;
+  },
+
+  async delete(segments) {
+    const names = segments.map(String);
+    const [deleted] = await kvCommands([
+      ['DEL', kvKey('record', names)],
+      ['SREM', kvKey('records', names.slice(0, -1)), names[names.length - 1]]
+    ]);
+    return deleted > 0;
+  }
+};
+
+const backend = () => (kvConfig() ? kvBackend : fileBackend);
+
+export async function writeRecord(segments, value) {
+  return backend().write(segments, value);
+}
+
+// Lets a route refuse work up front instead of failing on the first backup.
+export async function assertWritable() {
+  await writeRecord(['.probe'], { checkedAt: new Date().toISOString() });
+}
+
+export async function readRecord(segments) {
+  return backend().read(segments);
+}
+
+export async function listRecords(segments) {
+  return backend().list(segments);
+}
+
+export async function listCollections(segments) {
+  return backend().listCollections(segments);
+}
+
+export async function deleteRecord(segments) {
+  return backend().delete(segments);
+}
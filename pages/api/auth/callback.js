@@ -0,0 +1,33 @@
+import { connectedShops, saveSession, shopsCookie } from '../../../lib/sessions';
+import {
+  STATE_COOKIE,
+  clearStateCookie,
+  exchangeCode,
+  isSecureApp,
+  requireOAuthConfig,
+  verifyCallback
+} from '../../../lib/shopify/oauth';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // The state is single-use whether or not the install succeeds.
+  res.setHeader('Set-Cookie', clearStateCookie());
+
+  try {
+    const config = requireOAuthConfig();
+    const shop = verifyCallback(config, req.query, req.cookies[STATE_COOKIE]);
+    const { accessToken, scope } = await exchangeCode(config, { shop, code: req.query.code });
+
+    await saveSession({ shop, accessToken, scope });
+    res.setHeader('Set-Cookie', [
+      clearStateCookie(),
+      shopsCookie([...connectedShops(req), shop], { secure: isSecureApp(config) })
+    ]);
+    return res.redirect(302, `/?connected=${encodeURIComponent(shop)}`);
+  } catch (error) {
+    return res.redirect(302, `/?authError=${encodeURIComponent(error.message)}`);
+  }
+}
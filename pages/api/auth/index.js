@@ -0,0 +1,26 @@
+import { resolveStoreDomain } from '../../../lib/shopify/client';
+import {
+  buildAuthorizeUrl,
+  createState,
+  redirectUri,
+  requireOAuthConfig,
+  stateCookie
+} from '../../../lib/shopify/oauth';
+
+// Starts the install: remembers a random state in a cookie and sends the browser to Shopify's consent screen.
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const config = requireOAuthConfig();
+    const shop = await resolveStoreDomain(req.query.shop);
+    const state = createState();
+
+    res.setHeader('Set-Cookie', stateCookie(config, state));
+    return res.redirect(302, buildAuthorizeUrl(config, { shop, state, redirectUri: redirectUri(config, req) }));
+  } catch (error) {
+    return res.redirect(302, `/?authError=${encodeURIComponent(error.message)}`);
+  }
+}
@@ -0,0 +1,39 @@
+import { connectedShops, deleteSession, listSessions, shopsCookie } from '../../../lib/sessions';
+import { oauthConfig, assertShopParam, isSecureApp, OAuthError } from '../../../lib/shopify/oauth';
+
+// Lists shops this browser connected through the install flow and disconnects them. Tokens never leave the server.
+export default async function handler(req, res) {
+  try {
+    const allowed = connectedShops(req);
+
+    if (req.method === 'GET') {
+      return res.status(200).json({
+        success: true,
+        enabled: oauthConfig().enabled,
+        stores: (await listSessions()).filter(session => allowed.includes(session.shop))
+      });
+    }
+
+    if (req.method === 'DELETE') {
+      const shop = assertShopParam(req.query.shop);
+      if (!allowed.includes(shop)) {
+        return res.status(403).json({ success: false, error: `${shop} was not connected from this browser` });
+      }
+
+      const removed = await deleteSession(shop);
+      res.setHeader('Set-Cookie', shopsCookie(allowed.filter(entry => entry !== shop), { secure: isSecureApp(oauthConfig()) }));
+
+      return res.status(removed ? 200 : 404).json({
+        success: removed,
+        ...(!removed && { error: `${shop} is not connected` })
+      });
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (error) {
+    return res.status(error instanceof OAuthError ? 400 : 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
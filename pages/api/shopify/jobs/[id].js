@@ -0,0 +1,39 @@
+import { loadResults, ownsJob, summarizeJob } from '../../../../lib/jobs/runner';
+import { getJobStore, jobAttachments } from '../../../../lib/jobs/store';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const store = getJobStore();
+    const job = await store.get(req.query.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+
+    if (!ownsJob(job, req.headers['x-job-secret'])) {
+      return res.status(403).json({
+        success: false,
+        error: 'This job was started from another browser'
+      });
+    }
+
+    const results = await loadResults(job, jobAttachments(store, job.id));
+    return res.status(200).json({
+      success: true,
+      job: summarizeJob(job),
+      ...(results && { results })
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
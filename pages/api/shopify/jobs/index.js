@@ -0,0 +1,90 @@
+import { createJob, createJobSecret, summarizeJob } from '../../../../lib/jobs/runner';
+import { getJobStore } from '../../../../lib/jobs/store';
+import { selectRules } from '../../../../lib/seo/rules';
+import { getResource } from '../../../../lib/shopify/resources';
+import { resolveStoreDomain, resolveApiVersion } from '../../../../lib/shopify/client';
+import { assertWritable } from '../../../../lib/storage';
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const {
+    storeUrl,
+    mode,
+    limit,
+    resourceTypes,
+    resourceKeys,
+    approvedChanges,
+    rules,
+    fixRules,
+    similarityThreshold,
+    thinContentWords,
+    keywordTagPrefix,
+    keywordMetafield,
+    bulk,
+    apiVersion
+  } = req.body;
+
+  if (!storeUrl) {
+    return res.status(400).json({
+      success: false,
+      error: 'Store URL is required'
+    });
+  }
+
+  let store;
+  try {
+    store = await resolveStoreDomain(storeUrl);
+    resolveApiVersion(apiVersion);
+    selectRules(rules);
+    selectRules(fixRules);
+    (resourceTypes || []).forEach(getResource);
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  try {
+    // Fix runs back up every item first, so they need storage even with the memory job store.
+    if (mode === 'fix') {
+      await assertWritable();
+    }
+
+    const secret = createJobSecret();
+    const job = createJob({
+      secret,
+      store,
+      mode,
+      limit,
+      resourceTypes,
+      resourceKeys,
+      approvedChanges,
+      rules,
+      fixRules,
+      similarityThreshold,
+      thinContentWords,
+      keywordTagPrefix,
+      keywordMetafield,
+      bulk,
+      apiVersion
+    });
+
+    await getJobStore().put(job);
+
+    return res.status(200).json({
+      success: true,
+      jobId: job.id,
+      jobSecret: secret,
+      job: summarizeJob(job)
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
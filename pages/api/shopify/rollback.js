@@ -0,0 +1,164 @@
+import { listRuns, loadBackups } from '../../../lib/backups';
+import { CHUNK_BUDGET_MS } from '../../../lib/jobs/runner';
+import {
+  createShopifyClient,
+  describeShopifyError,
+  resolveStoreDomain,
+  logDeprecations,
+  responseError
+} from '../../../lib/shopify/client';
+import { restoreMetafield } from '../../../lib/shopify/metafields';
+import { removeRedirects } from '../../../lib/shopify/redirects';
+import { getResource } from '../../../lib/shopify/resources';
+import { resolveAccessToken } from '../../../lib/sessions';
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { storeUrl, accessToken, apiVersion, runId, keys } = req.body;
+
+  if (!storeUrl) {
+    return res.status(400).json({
+      success: false,
+      error: 'Store URL is required'
+    });
+  }
+
+  // Deprecation notices only have somewhere to go once the event stream is open.
+  let onDeprecation = null;
+  let client;
+  try {
+    const store = await resolveStoreDomain(storeUrl);
+    const token = await resolveAccessToken(store, accessToken, req);
+    if (!token) {
+      throw new Error(`Paste an access token or connect ${store} with Shopify first`);
+    }
+
+    client = createShopifyClient({
+      store,
+      accessToken: token,
+      apiVersion,
+      onDeprecation: (notice) => onDeprecation?.(notice)
+    });
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  if (!runId) {
+    try {
+      const shopResponse = await client.request('shop.json');
+      if (!shopResponse.ok) {
+        throw responseError(shopResponse, 'connect');
+      }
+
+      const runs = await listRuns(client.shop);
+      return res.status(200).json({ success: true, runs });
+    } catch (error) {
+      return res.status(200).json({
+        success: false,
+        error: describeShopifyError(error)
+      });
+    }
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+  });
+
+  const sendUpdate = (data) => {
+    res.write(`data: ${JSON.stringify(data)}\n\n`);
+  };
+  onDeprecation = logDeprecations(sendUpdate);
+
+  // Like jobs, a restore stops at the chunk budget and reports the keys it did
+  // not reach; the client sends those back in a new request.
+  const deadline = Date.now() + CHUNK_BUDGET_MS;
+
+  try {
+    const selected = Array.isArray(keys) ? keys.map(String) : null;
+    const backups = (await loadBackups(client.shop, runId))
+      .filter(backup => !selected || selected.includes(backup.key))
+      .sort((a, b) => a.key.localeCompare(b.key));
+
+    if (backups.length === 0) {
+      throw new Error(`No backups found for run ${runId}`);
+    }
+
+    sendUpdate({ log: `♻️ Restoring ${backups.length} item(s) from run ${runId}...`, type: 'info' });
+
+    const restored = [];
+    const failed = [];
+    const remaining = backups.map(backup => backup.key);
+
+    for (const backup of backups) {
+      // Always get at least one item done so a slow store still makes progress.
+      if (remaining.length < backups.length && Date.now() >= deadline) break;
+      remaining.shift();
+
+      const resource = getResource(backup.resourceType);
+      const responses = [];
+
+      if (backup.handle) {
+        responses.push(await removeRedirects(client, backup.handle.redirectPath));
+      }
+
+      if (backup.body_html !== null || backup.handle) {
+        responses.push(await client.request(
+          resource.itemPath(backup.sourceId, backup.resourceId),
+          {
+            method: 'PUT',
+            body: JSON.stringify({
+              [resource.itemKey]: {
+                id: backup.resourceId,
+                ...(backup.body_html !== null && { body_html: backup.body_html }),
+                ...(backup.handle && { handle: backup.handle.value })
+              }
+            })
+          }
+        ));
+      }
+
+      for (const metafield of backup.metafields || []) {
+        responses.push(await restoreMetafield(
+          client,
+          resource.metafieldsPath(backup.sourceId, backup.resourceId),
+          metafield
+        ));
+      }
+
+      const failedResponse = responses.find(response => !response.ok);
+      if (!failedResponse) {
+        restored.push(backup.key);
+        sendUpdate({
+          log: `✅ Restored: ${backup.title.substring(0, 50)}...`,
+          type: 'success'
+        });
+      } else {
+        failed.push(backup.key);
+        sendUpdate({
+          log: `❌ Failed to restore: ${backup.title.substring(0, 50)}... (${failedResponse.status})`,
+          type: 'error'
+        });
+      }
+    }
+
+    if (remaining.length > 0) {
+      sendUpdate({ log: `⏸️ ${remaining.length} item(s) left, continuing in a new request...`, type: 'info' });
+    }
+
+    sendUpdate({ restore: { runId, restored, failed, remaining } });
+
+  } catch (error) {
+    sendUpdate({ log: `❌ Error: ${error.message}`, type: 'error' });
+    sendUpdate({ error: error.message });
+  } finally {
+    res.end();
+  }
+}
@@ -0,0 +1,13 @@
+import { describeRules } from '../../../lib/seo/rules';
+import { describeResources } from '../../../lib/shopify/resources';
+
+export default function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  return res.status(200).json({
+    rules: describeRules(),
+    resources: describeResources()
+  });
+}
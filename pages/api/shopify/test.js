@@ -1,46 +1,88 @@
+import {
+  createShopifyClient,
+  describeShopifyError,
+  resolveStoreDomain,
+  responseError,
+  InvalidStoreUrlError
+} from '../../../lib/shopify/client';
+import { fetchAccessScopes, missingScopes, requiredScopes } from '../../../lib/shopify/scopes';
+import { DEFAULT_RESOURCE_TYPES } from '../../../lib/shopify/resources';
+import { resolveAccessToken } from '../../../lib/sessions';
+
+const unique = (values) => [...new Set(values)];
+
+// Fix mode's write needs are checked whatever mode was picked, so the UI can switch it off early.
+const checkScopes = (granted, { mode, resourceTypes, rules, fixRules }) => {
+  const selection = { resourceTypes: resourceTypes?.length ? resourceTypes : DEFAULT_RESOURCE_TYPES, rules, fixRules };
+  const missing = missingScopes(granted, requiredScopes({ ...selection, mode }));
+  const missingWrite = missingScopes(granted, requiredScopes({ ...selection, mode: 'fix' }))
+    .filter(({ scope }) => scope.startsWith('write_'));
+
+  return {
+    granted,
+    missing,
+    missingScopes: unique(missing.map(({ scope }) => scope)),
+    missingWriteScopes: unique(missingWrite.map(({ scope }) => scope)),
+    canFix: missingWrite.length === 0
+  };
+};
+
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
-  const { storeUrl, accessToken } = req.body;
+  const { storeUrl, accessToken, apiVersion, mode, resourceTypes, rules, fixRules } = req.body;
 
-  if (!storeUrl || !accessToken) {
+  if (!storeUrl) {
     return res.status(400).json({ 
       success: false, 
-      error: 'Store URL and Access Token are required' 
+      error: 'Store URL is required' 
     });
   }
 
+  const warnings = [];
+
   try {
-    const cleanUrl = storeUrl.replace('https://', '').replace('http://', '').replace(/\/$/, '');
-    const apiUrl = `https://${cleanUrl}/admin/api/2024-01/shop.json`;
-    
-    const response = await fetch(apiUrl, {
-      headers: {
-        'X-Shopify-Access-Token': accessToken,
-        'Content-Type': 'application/json'
-      }
+    const store = await resolveStoreDomain(storeUrl);
+    const token = await resolveAccessToken(store, accessToken, req);
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        error: `Paste an access token or connect ${store} with Shopify first`
+      });
+    }
+
+    const client = createShopifyClient({
+      store,
+      accessToken: token,
+      apiVersion,
+      onDeprecation: ({ endpoint, reason }) => warnings.push(`${endpoint}: ${reason}`)
     });
+    const response = await client.request('shop.json');
 
-    if (response.ok) {
-      const data = await response.json();
-      return res.status(200).json({ 
-        success: true, 
-        shopName: data.shop.name,
-        domain: data.shop.domain 
-      });
-    } else {
-      const errorText = await response.text();
-      return res.status(200).json({ 
-        success: false, 
-        error: `Connection failed: ${response.status}` 
-      });
+    if (!response.ok) {
+      throw responseError(response, 'connect');
     }
-  } catch (error) {
+
+    const data = await response.json();
+    const granted = await fetchAccessScopes(client);
+
     return res.status(200).json({ 
+      success: true, 
+      shopName: data.shop.name,
+      domain: data.shop.domain,
+      store: client.shop,
+      apiVersion: client.apiVersion,
+      connected: !accessToken,
+      scopes: checkScopes(granted, { mode, resourceTypes, rules, fixRules }),
+      warnings
+    });
+  } catch (error) {
+    return res.status(error instanceof InvalidStoreUrlError ? 400 : 200).json({ 
       success: false, 
-      error: error.message 
+      error: describeShopifyError(error),
+      warnings
     });
   }
 }
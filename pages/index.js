@@ -1,33 +1,239 @@
-import { useState } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import Head from 'next/head';
+import { readEventStream } from '../lib/eventStream';
+import { parseStoreList, combineResults } from '../lib/batch';
+import DiffView from '../components/DiffView';
+import { previewFingerprint } from '../lib/diff';
+
+const JOB_STORAGE_KEY = 'shopify-seo-fixer:job';
+const MAX_RESUME_ATTEMPTS = 3;
+const RESUME_DELAY_MS = 2000;
+
+const describeHandleChange = (change) => {
+  if (!change) return '';
+  const redirect = change.redirect === false ? ' (redirect failed)' : '';
+  return `${change.from} → ${change.to}${redirect}`;
+};
+
+const METRIC_COLUMNS = [
+  { key: 'words', label: 'Words', csv: 'Word Count' },
+  { key: 'readability', label: 'Readability', csv: 'Readability (Flesch)' },
+  { key: 'averageSentenceWords', label: 'Avg Sentence', csv: 'Avg Sentence Words' },
+  { key: 'averageParagraphWords', label: 'Avg Paragraph', csv: 'Avg Paragraph Words' },
+  { key: 'textRatio', label: 'Text %', csv: 'Text to Markup %' },
+  { key: 'keywordDensity', label: 'Keyword %', csv: 'Keyword Density %' }
+];
+
+// Items without a value (e.g. no text to score) sink to the bottom in either direction.
+const sortItems = (items, { key, direction }) => {
+  if (!key) return items;
+
+  return [...items].sort((a, b) => {
+    const left = a.metrics?.[key];
+    const right = b.metrics?.[key];
+    if (left == null) return right == null ? 0 : 1;
+    if (right == null) return -1;
+    return direction === 'asc' ? left - right : right - left;
+  });
+};
+
+const issueKeys = (issues) => Object.entries(issues || {})
+  .filter(([_, value]) => value === true || (Array.isArray(value) && value.length > 0))
+  .map(([key]) => key);
+
+// Titles and handles can hold quotes (12" pizza); CSV doubles them inside a quoted cell.
+const csvCell = (cell) => `"${String(cell ?? '').replace(/"/g, '""')}"`;
+
+const hasRemaining = (item) => issueKeys(item.remainingIssues).length > 0;
+const hasOther = (item) => issueKeys(item.otherIssues).length > 0;
+
+// Fix runs count only verified results; dry runs keep the would-fix share of everything scanned.
+const successRate = (results) => {
+  if (results.verified) {
+    return results.verified.attempted > 0
+      ? `${Math.round((results.verified.fixed / results.verified.attempted) * 100)}%`
+      : '–';
+  }
+  return results.totalProcessed > 0
+    ? `${Math.round((results.fixed / results.totalProcessed) * 100)}%`
+    : '0%';
+};
+
+const BATCH_STATUS_LABELS = {
+  queued: 'Queued',
+  connecting: 'Connecting',
+  confirming: 'Waiting for confirmation',
+  running: 'Running',
+  completed: 'Completed',
+  failed: 'Failed',
+  skipped: 'Skipped'
+};
+
+const toggleId = (list, id) => (list.includes(id) ? list.filter(item => item !== id) : [...list, id]);
 
 export default function ShopifySEOFixer() {
   const [storeUrl, setStoreUrl] = useState('');
   const [accessToken, setAccessToken] = useState('');
+  const [apiVersion, setApiVersion] = useState('');
+  const [scopeCheck, setScopeCheck] = useState(null);
+  const [connectedStores, setConnectedStores] = useState([]);
+  const [oauthEnabled, setOauthEnabled] = useState(false);
   const [processing, setProcessing] = useState(false);
   const [results, setResults] = useState(null);
   const [logs, setLogs] = useState([]);
   const [currentStep, setCurrentStep] = useState(1);
   const [mode, setMode] = useState('dry-run');
   const [articlesLimit, setArticlesLimit] = useState(10);
+  const [bulk, setBulk] = useState(false);
+  const [similarityThreshold, setSimilarityThreshold] = useState(90);
+  const [thinContentWords, setThinContentWords] = useState(300);
+  const [keywordTagPrefix, setKeywordTagPrefix] = useState('kw:');
+  const [keywordMetafield, setKeywordMetafield] = useState('custom.focus_keyword');
+  const [sort, setSort] = useState({ key: null, direction: 'desc' });
   const [showInstructions, setShowInstructions] = useState(true);
+  const [restoreSelection, setRestoreSelection] = useState([]);
+  const [backupRuns, setBackupRuns] = useState(null);
+  const [applySelection, setApplySelection] = useState([]);
+  const [expandedDiffs, setExpandedDiffs] = useState([]);
+  const [pendingJob, setPendingJob] = useState(null);
+  const [availableRules, setAvailableRules] = useState([]);
+  const [enabledRules, setEnabledRules] = useState([]);
+  const [fixRuleSelection, setFixRuleSelection] = useState([]);
+  const [availableResources, setAvailableResources] = useState([]);
+  const [resourceTypes, setResourceTypes] = useState(['articles']);
+  const [showBatch, setShowBatch] = useState(false);
+  const [batchInput, setBatchInput] = useState('');
+  const [batchStores, setBatchStores] = useState([]);
+  const [batchMode, setBatchMode] = useState(null);
+  const confirmStore = useRef(null);
 
   const addLog = (message, type = 'info') => {
     setLogs(prev => [...prev, { message, type, timestamp: new Date().toISOString() }]);
   };
 
-  const testConnection = async () => {
+  const loadJobStatus = async (jobId, jobSecret) => {
+    const response = await fetch(`/api/shopify/jobs/${jobId}`, { headers: { 'X-Job-Secret': jobSecret || '' } });
+    const data = await response.json();
+
+    if (!data.success) {
+      window.localStorage.removeItem(JOB_STORAGE_KEY);
+      setPendingJob(null);
+      return;
+    }
+
+    if (data.results) {
+      window.localStorage.removeItem(JOB_STORAGE_KEY);
+      setPendingJob(null);
+      setResults(data.results);
+      return;
+    }
+
+    setPendingJob({ ...data.job, secret: jobSecret });
+  };
+
+  useEffect(() => {
+    const saved = window.localStorage.getItem(JOB_STORAGE_KEY);
+    if (!saved) return;
+
+    const { jobId, jobSecret, storeUrl: savedStoreUrl } = JSON.parse(saved);
+    setStoreUrl(savedStoreUrl);
+    loadJobStatus(jobId, jobSecret).catch(error => console.error('Job status error:', error));
+  }, []);
+
+  useEffect(() => {
+    fetch('/api/shopify/rules')
+      .then(response => response.json())
+      .then(data => {
+        setAvailableRules(data.rules);
+        setEnabledRules(data.rules.map(rule => rule.id));
+        setFixRuleSelection(data.rules.filter(rule => rule.fixable && !rule.optIn).map(rule => rule.id));
+        setAvailableResources(data.resources);
+      })
+      .catch(error => console.error('Rules error:', error));
+  }, []);
+
+  const loadConnectedStores = async () => {
+    const response = await fetch('/api/auth/sessions');
+    const data = await response.json();
+    if (!data.success) throw new Error(data.error);
+
+    setOauthEnabled(data.enabled);
+    setConnectedStores(data.stores);
+  };
+
+  // The install callback lands back here with ?connected= or ?authError=.
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.search);
+    if (params.has('connected')) {
+      setStoreUrl(params.get('connected'));
+      setAccessToken('');
+      addLog(`🔐 Connected ${params.get('connected')} with Shopify`, 'success');
+    }
+    if (params.has('authError')) {
+      addLog(`❌ Install failed: ${params.get('authError')}`, 'error');
+    }
+    if (params.has('connected') || params.has('authError')) {
+      window.history.replaceState(null, '', window.location.pathname);
+    }
+
+    loadConnectedStores().catch(error => console.error('Connected stores error:', error));
+  }, []);
+
+  const usingSession = !accessToken && connectedStores.some(store => store.shop === storeUrl.trim().toLowerCase());
+  const hasCredentials = Boolean(accessToken) || usingSession;
+  const confirmingStore = batchStores.find(entry => entry.status === 'confirming');
+
+  const connectWithShopify = () => {
+    window.location.assign(`/api/auth?shop=${encodeURIComponent(storeUrl.trim())}`);
+  };
+
+  const disconnectStore = async (shop) => {
+    if (!window.confirm(`Disconnect ${shop}? Its stored token will be deleted.`)) return;
+
     try {
-      const response = await fetch('/api/shopify/test', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ storeUrl, accessToken })
-      });
-      
+      const response = await fetch(`/api/auth/sessions?shop=${encodeURIComponent(shop)}`, { method: 'DELETE' });
       const data = await response.json();
+      if (!data.success) throw new Error(data.error);
+
+      addLog(`🔌 Disconnected ${shop}`, 'info');
+      await loadConnectedStores();
+    } catch (error) {
+      addLog(`❌ Could not disconnect ${shop}: ${error.message}`, 'error');
+    }
+  };
+
+  // A different store or token needs a fresh scope check.
+  useEffect(() => {
+    setScopeCheck(null);
+  }, [storeUrl, accessToken]);
+
+  const ruleSelection = () => (availableRules.length > 0
+    ? { rules: enabledRules, fixRules: fixRuleSelection.filter(id => enabledRules.includes(id)) }
+    : {});
+
+  const requestConnection = async ({ store, token, runMode, types }) => {
+    const response = await fetch('/api/shopify/test', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        storeUrl: store,
+        accessToken: token || undefined,
+        apiVersion: apiVersion || undefined,
+        mode: runMode,
+        resourceTypes: types,
+        ...ruleSelection()
+      })
+    });
+    return response.json();
+  };
+
+  const testConnection = async ({ runMode = mode, types = resourceTypes } = {}) => {
+    try {
+      const data = await requestConnection({ store: storeUrl, token: accessToken, runMode, types });
+      (data.warnings || []).forEach(warning => addLog(`⚠️ Deprecated: ${warning}`, 'warning'));
       if (data.success) {
-        addLog(`✅ Connected to: ${data.shopName}`, 'success');
-        return true;
+        addLog(`✅ Connected to: ${data.shopName} (${data.store}, API ${data.apiVersion})`, 'success');
+        return checkScopes(data.scopes, data.connected);
       } else {
         addLog(`❌ Connection failed: ${data.error}`, 'error');
         return false;
@@ -38,67 +244,420 @@ export default function ShopifySEOFixer() {
     }
   };
 
-  const processSite = async () => {
+  // Returns false when the token lacks a scope the run cannot do without.
+  const checkScopes = (scopes, connected = false) => {
+    setScopeCheck(scopes);
+    if (!scopes) return true;
+
+    scopes.missing.forEach(({ scope, reason, optional }) => {
+      addLog(`${optional ? '⚠️' : '❌'} Missing scope ${scope}: ${reason}`, optional ? 'warning' : 'error');
+    });
+    if (!scopes.canFix) {
+      setMode('dry-run');
+      addLog(`🔒 Fix mode is off until the token has ${scopes.missingWriteScopes.join(', ')}`, 'warning');
+    }
+
+    if (scopes.missing.some(({ optional }) => !optional) && connected) {
+      addLog('🔑 Connect the store with Shopify again and approve the new scopes.', 'error');
+      return false;
+    }
+    if (scopes.missing.some(({ optional }) => !optional)) {
+      addLog('🔑 Revisit Step 2 (Configure API Permissions) to enable these scopes, then reinstall the app in Step 3 to get a token that has them.', 'error');
+      setShowInstructions(true);
+      return false;
+    }
+    return true;
+  };
+
+  const processSite = async ({ runMode = mode, resourceKeys, approvedChanges } = {}) => {
     setProcessing(true);
     setLogs([]);
     setResults(null);
+    setApplySelection([]);
+    setExpandedDiffs([]);
     
     addLog('🔌 Testing connection...', 'info');
-    const connected = await testConnection();
+    const connected = await testConnection({ runMode });
     
     if (!connected) {
       setProcessing(false);
       return;
     }
 
-    addLog(`🚀 Starting ${mode === 'dry-run' ? 'analysis' : 'fixes'}...`, 'info');
+    addLog(`🚀 Starting ${runMode === 'dry-run' ? 'analysis' : 'fixes'}...`, 'info');
     
     try {
-      const response = await fetch('/api/shopify/process', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          storeUrl,
-          accessToken,
-          mode,
-          limit: articlesLimit
-        })
-      });
+      const data = await createJob({ store: storeUrl, runMode, resourceKeys, approvedChanges });
+
+      window.localStorage.setItem(JOB_STORAGE_KEY, JSON.stringify({ jobId: data.jobId, jobSecret: data.jobSecret, storeUrl }));
+      setPendingJob(null);
+
+      if (await runJob(data.jobId, data.jobSecret)) {
+        addLog('✅ Process complete!', 'success');
+      }
+    } catch (error) {
+      addLog(`❌ Error: ${error.message}`, 'error');
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  const createJob = async ({ store, runMode, resourceKeys, approvedChanges }) => {
+    const response = await fetch('/api/shopify/jobs', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        storeUrl: store,
+        mode: runMode,
+        limit: articlesLimit,
+        similarityThreshold: similarityThreshold / 100,
+        thinContentWords,
+        keywordTagPrefix,
+        keywordMetafield,
+        apiVersion: apiVersion || undefined,
+        // A handful of selected items is quicker to page through than a full export.
+        bulk: bulk && !resourceKeys,
+        resourceTypes,
+        resourceKeys,
+        approvedChanges,
+        ...ruleSelection()
+      })
+    });
+
+    const data = await response.json();
+    if (!data.success) {
+      throw new Error(data.error);
+    }
+    return data;
+  };
+
+  const showResults = (jobResults) => {
+    setResults(jobResults);
+    setRestoreSelection([]);
+  };
+
+  // Batch runs pass their own token and callbacks and are not saved for resuming.
+  const runJob = async (jobId, jobSecret, { token = accessToken, onResults = showResults, onCheckpoint, saved = true } = {}) => {
+    let failures = 0;
+
+    while (true) {
+      let checkpoint = null;
+      let completed = false;
+
+      try {
+        const response = await fetch('/api/shopify/process', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ jobId, jobSecret, accessToken: token || undefined })
+        });
+
+        if (!response.ok) {
+          const data = await response.json();
+          throw new Error(data.error);
+        }
+
+        await readEventStream(response, (data) => {
+          if (data.log) {
+            addLog(data.log, data.type || 'info');
+          }
+          if (data.results) {
+            onResults(data.results);
+            completed = true;
+          }
+          if (data.checkpoint) {
+            checkpoint = data.checkpoint;
+            onCheckpoint?.(data.checkpoint);
+          }
+        });
+      } catch (error) {
+        addLog(`❌ Error: ${error.message}`, 'error');
+      }
+
+      if (completed) {
+        if (saved) window.localStorage.removeItem(JOB_STORAGE_KEY);
+        return true;
+      }
+
+      if (checkpoint?.status === 'paused') {
+        failures = 0;
+        continue;
+      }
+
+      failures++;
+      if (failures >= MAX_RESUME_ATTEMPTS) {
+        if (!saved) return false;
+        addLog('⏸️ Job stopped. Its progress is saved and it can be resumed later.', 'warning');
+        await loadJobStatus(jobId, jobSecret).catch(() => {});
+        return false;
+      }
+
+      addLog('🔁 Connection interrupted, resuming job...', 'warning');
+      await new Promise(resolve => setTimeout(resolve, RESUME_DELAY_MS));
+    }
+  };
+
+  const resumeJob = async () => {
+    const { id: jobId, secret: jobSecret } = pendingJob;
+
+    setProcessing(true);
+    setPendingJob(null);
+    addLog(`🔁 Resuming job ${jobId}...`, 'info');
+
+    try {
+      if (!await testConnection({ runMode: pendingJob.mode, types: pendingJob.resourceTypes })) {
+        await loadJobStatus(jobId, jobSecret);
+        return;
+      }
+
+      if (await runJob(jobId, jobSecret)) {
+        addLog('✅ Process complete!', 'success');
+      }
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  const discardJob = () => {
+    window.localStorage.removeItem(JOB_STORAGE_KEY);
+    setPendingJob(null);
+  };
+
+  // Stores run one after another with the settings above; a failed store is
+  // recorded and the queue moves on. Fix runs wait for a confirmation per store.
+  const runBatch = async () => {
+    const { stores, errors } = parseStoreList(batchInput);
+    const runMode = mode;
+
+    setProcessing(true);
+    setLogs([]);
+    setResults(null);
+    setBatchMode(runMode);
+    errors.forEach(error => addLog(`⚠️ ${error}`, 'warning'));
+
+    const entries = stores.map(entry => ({ ...entry, status: 'queued', processed: 0, limit: articlesLimit, error: null, results: null }));
+    const update = (index, changes) => {
+      entries[index] = { ...entries[index], ...changes };
+      setBatchStores([...entries]);
+    };
+    setBatchStores([...entries]);
+
+    addLog(`🏢 Starting batch ${runMode === 'dry-run' ? 'analysis' : 'fixes'} of ${entries.length} store(s)...`, 'info');
+
+    for (const [index, { store, token }] of stores.entries()) {
+      addLog(`\n🏬 ${store} (${index + 1} of ${stores.length})`, 'info');
+
+      try {
+        await runBatchStore({ store, token, runMode, update: (changes) => update(index, changes) });
+      } catch (error) {
+        update(index, { status: 'failed', error: error.message });
+        addLog(`❌ ${store}: ${error.message}`, 'error');
+      }
+    }
+
+    const count = (status) => entries.filter(entry => entry.status === status).length;
+    addLog(
+      `\n✅ Batch complete: ${count('completed')} completed, ${count('failed')} failed, ${count('skipped')} skipped.`,
+      count('failed') > 0 ? 'warning' : 'success'
+    );
+    setProcessing(false);
+  };
+
+  const runBatchStore = async ({ store, token, runMode, update }) => {
+    update({ status: 'connecting' });
+    const connection = await requestConnection({ store, token, runMode, types: resourceTypes });
+    (connection.warnings || []).forEach(warning => addLog(`⚠️ Deprecated: ${warning}`, 'warning'));
+    if (!connection.success) {
+      throw new Error(connection.error);
+    }
+
+    const missing = (connection.scopes?.missing || []).filter(({ optional }) => !optional);
+    if (missing.length > 0) {
+      throw new Error(`The token is missing ${[...new Set(missing.map(({ scope }) => scope))].join(', ')}`);
+    }
+    addLog(`✅ Connected to: ${connection.shopName} (${connection.store})`, 'success');
+
+    if (runMode === 'fix') {
+      update({ status: 'confirming' });
+      addLog(`✋ Confirm fixes for ${connection.store} to continue.`, 'warning');
+
+      const confirmed = await new Promise(resolve => { confirmStore.current = resolve; });
+      confirmStore.current = null;
+      if (!confirmed) {
+        update({ status: 'skipped' });
+        addLog(`⏭️ Skipped ${connection.store}`, 'info');
+        return;
+      }
+    }
+
+    const { jobId, jobSecret, job } = await createJob({ store: connection.store, runMode });
+    update({ status: 'running', limit: job.limit });
+
+    let storeResults = null;
+    const finished = await runJob(jobId, jobSecret, {
+      token,
+      saved: false,
+      onResults: (jobResults) => { storeResults = jobResults; },
+      onCheckpoint: (checkpoint) => update({ processed: checkpoint.processed })
+    });
+    if (!finished) {
+      throw new Error('The job stopped after repeated errors');
+    }
+
+    update({ status: 'completed', processed: storeResults.totalProcessed, results: storeResults });
+  };
+
+  const loadBatchFile = async (file) => {
+    if (!file) return;
+    setBatchInput(await file.text());
+  };
+
+  // Shows one store's results in the usual results view, with its credentials
+  // filled in so previews can be applied and backups restored from there.
+  const viewBatchStore = (entry) => {
+    setStoreUrl(entry.store);
+    setAccessToken(entry.token);
+    setBackupRuns(null);
+    setApplySelection([]);
+    setExpandedDiffs([]);
+    showResults(entry.results);
+  };
+
+  const downloadBatchReport = () => {
+    const combined = combineResults(batchStores, batchMode);
+    const summary = [
+      ['Store', 'Status', 'Processed', 'Issues Found', 'Fixed', 'Error'],
+      ...batchStores.map(entry => [
+        entry.store,
+        BATCH_STATUS_LABELS[entry.status],
+        entry.results?.totalProcessed ?? entry.processed,
+        entry.results?.issuesFound ?? '',
+        entry.results?.fixed ?? '',
+        entry.error || ''
+      ])
+    ].map(row => row.map(csvCell).join(',')).join('\n');
+
+    const csv = `${summary}\n\n${convertToCSV(combined)}`;
+    const blob = new Blob([csv], { type: 'text/csv' });
+    const url = window.URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `shopify-seo-batch-report-${new Date().toISOString()}.csv`;
+    a.click();
+  };
+
+  // Large runs are restored over several requests; each one returns the keys it did not reach.
+  const restoreRun = async (runId, keys = null) => {
+    setProcessing(true);
+    addLog(`♻️ Restoring ${keys ? `${keys.length} item(s)` : 'entire run'} from ${runId}...`, 'info');
 
-      const reader = response.body.getReader();
-      const decoder = new TextDecoder();
+    const restored = [];
+    const failed = [];
+    let remaining = keys;
 
+    try {
       while (true) {
-        const { done, value } = await reader.read();
-        if (done) break;
-        
-        const chunk = decoder.decode(value);
-        const lines = chunk.split('\n');
-        
-        for (const line of lines) {
-          if (line.startsWith('data: ')) {
-            try {
-              const data = JSON.parse(line.slice(6));
-              if (data.log) {
-                addLog(data.log, data.type || 'info');
-              }
-              if (data.results) {
-                setResults(data.results);
-              }
-            } catch (e) {
-              console.error('Parse error:', e);
-            }
+        const response = await fetch('/api/shopify/rollback', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ storeUrl, accessToken, apiVersion: apiVersion || undefined, runId, keys: remaining })
+        });
+
+        if (!response.ok) {
+          const data = await response.json();
+          addLog(`❌ Restore failed: ${data.error}`, 'error');
+          return;
+        }
+
+        let outcome = null;
+        let failure = null;
+        await readEventStream(response, (data) => {
+          if (data.log) {
+            addLog(data.log, data.type || 'info');
           }
+          if (data.restore) {
+            outcome = data.restore;
+          }
+          if (data.error) {
+            failure = data.error;
+          }
+        });
+
+        // The stream has already logged the error.
+        if (failure) return;
+        if (!outcome) {
+          throw new Error('The restore was interrupted. Restore the run again to finish it.');
         }
+        restored.push(...outcome.restored);
+        failed.push(...outcome.failed);
+        if (outcome.remaining.length === 0) break;
+        remaining = outcome.remaining;
       }
+
+      addLog(
+        `\n✅ Restore complete! Restored ${restored.length} of ${restored.length + failed.length} items.`,
+        failed.length === 0 ? 'success' : 'warning'
+      );
+      setRestoreSelection([]);
     } catch (error) {
       addLog(`❌ Error: ${error.message}`, 'error');
     } finally {
       setProcessing(false);
-      addLog('✅ Process complete!', 'success');
     }
   };
 
+  const loadBackupRuns = async () => {
+    try {
+      const response = await fetch('/api/shopify/rollback', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ storeUrl, accessToken, apiVersion: apiVersion || undefined })
+      });
+
+      const data = await response.json();
+      if (data.success) {
+        setBackupRuns(data.runs);
+      } else {
+        addLog(`❌ Could not load backups: ${data.error}`, 'error');
+      }
+    } catch (error) {
+      addLog(`❌ Error: ${error.message}`, 'error');
+    }
+  };
+
+  const toggleRestoreSelection = (key) => {
+    setRestoreSelection(prev => toggleId(prev, key));
+  };
+
+  const toggleApplySelection = (key) => {
+    setApplySelection(prev => toggleId(prev, key));
+  };
+
+  const toggleDiff = (key) => {
+    setExpandedDiffs(prev => toggleId(prev, key));
+  };
+
+  const toggleSort = (key) => {
+    setSort(prev => (prev.key === key
+      ? { key, direction: prev.direction === 'desc' ? 'asc' : 'desc' }
+      : { key, direction: 'desc' }));
+  };
+
+  const resourceLabel = (type) =>
+    availableResources.find(resource => resource.type === type)?.label || type;
+
+  const fixBlocked = Boolean(scopeCheck && !scopeCheck.canFix);
+  const batchSummary = combineResults(batchStores, batchMode);
+
+  // The job recomputes each fix and skips any that no longer match the previewed diff.
+  const applySelected = () => {
+    const approvedChanges = Object.fromEntries(results.items
+      .filter(item => item.preview && applySelection.includes(item.key))
+      .map(item => [item.key, previewFingerprint(item)]));
+
+    setMode('fix');
+    processSite({ runMode: 'fix', resourceKeys: applySelection, approvedChanges });
+  };
+
   const downloadReport = () => {
     if (!results) return;
     
@@ -112,20 +671,37 @@ export default function ShopifySEOFixer() {
   };
 
   const convertToCSV = (data) => {
-    if (!data.articles || data.articles.length === 0) return '';
+    if (!data.items || data.items.length === 0) return '';
     
-    const headers = ['Blog', 'Article', 'Issues Found', 'Status'];
-    const rows = data.articles.map(article => [
-      article.blog,
-      article.title,
-      Object.entries(article.issues || {})
-        .filter(([_, value]) => value === true || (Array.isArray(value) && value.length > 0))
-        .map(([key]) => key)
-        .join('; '),
-      article.status
+    const withStore = data.items.some(item => item.store);
+    const headers = [
+      ...(withStore ? ['Store'] : []),
+      'Type',
+      'Source',
+      'Title',
+      'Issues Found',
+      'Status',
+      'Remaining Issues',
+      'Not Fixed By This Run',
+      'Handle Change',
+      'Focus Keyword',
+      ...METRIC_COLUMNS.map(column => column.csv)
+    ];
+    const rows = sortItems(data.items, sort).map(item => [
+      ...(withStore ? [item.store] : []),
+      resourceLabel(item.resourceType),
+      item.source,
+      item.title,
+      issueKeys(item.issues).join('; '),
+      item.status,
+      item.remainingIssues ? issueKeys(item.remainingIssues).join('; ') : '',
+      issueKeys(item.otherIssues).join('; '),
+      describeHandleChange(item.handleChange),
+      item.focusKeyword || '',
+      ...METRIC_COLUMNS.map(column => item.metrics?.[column.key] ?? '')
     ]);
     
-    return [headers, ...rows].map(row => row.map(cell => `"${cell}"`).join(',')).join('\n');
+    return [headers, ...rows].map(row => row.map(csvCell).join(',')).join('\n');
   };
 
   const resetForNewSite = () => {
@@ -133,6 +709,10 @@ export default function ShopifySEOFixer() {
     setAccessToken('');
     setResults(null);
     setLogs([]);
+    setRestoreSelection([]);
+    setBackupRuns(null);
+    setApplySelection([]);
+    setExpandedDiffs([]);
     setCurrentStep(1);
   };
 
@@ -207,6 +787,18 @@ export default function ShopifySEOFixer() {
           border-left: 4px solid #667eea;
         }
         
+        .instruction-step.revisit {
+          border-left-color: #e53e3e;
+        }
+        
+        .revisit-note {
+          background: #fff5f5;
+          border-radius: 6px;
+          color: #c53030;
+          margin-bottom: 10px;
+          padding: 10px;
+        }
+        
         .instruction-step h3 {
           color: #667eea;
           margin-bottom: 10px;
@@ -272,6 +864,30 @@ export default function ShopifySEOFixer() {
           transition: all 0.3s;
         }
         
+        .form-group input + input {
+          margin-top: 8px;
+        }
+        
+        .form-group small {
+          display: block;
+          margin-top: 6px;
+          color: #718096;
+        }
+        
+        .form-group select {
+          flex: 1;
+          padding: 12px 15px;
+          border: 2px solid #e2e8f0;
+          border-radius: 8px;
+          font-size: 1em;
+          background: white;
+        }
+        
+        .connected-store {
+          display: flex;
+          gap: 10px;
+        }
+        
         .form-group input:focus {
           outline: none;
           border-color: #667eea;
@@ -299,6 +915,11 @@ export default function ShopifySEOFixer() {
           background: #f7f6ff;
         }
         
+        .mode-option.disabled {
+          cursor: not-allowed;
+          opacity: 0.5;
+        }
+        
         .mode-option h4 {
           color: #2d3748;
           margin-bottom: 5px;
@@ -452,6 +1073,13 @@ export default function ShopifySEOFixer() {
           border-radius: 20px;
           text-align: center;
         }
+
+        .confirm-actions {
+          display: flex;
+          gap: 12px;
+          justify-content: center;
+          margin-top: 20px;
+        }
         
         .spinner {
           width: 50px;
@@ -479,6 +1107,344 @@ export default function ShopifySEOFixer() {
           color: #c53030;
           margin-bottom: 10px;
         }
+        
+        .resource-options {
+          display: flex;
+          gap: 20px;
+          flex-wrap: wrap;
+        }
+        
+        .form-group .checkbox-option {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+          color: #2d3748;
+          font-weight: normal;
+        }
+        
+        .results-table {
+          width: 100%;
+          border-collapse: collapse;
+          background: white;
+          border-radius: 10px;
+          margin-bottom: 25px;
+          font-size: 0.9em;
+        }
+        
+        .results-table th,
+        .results-table td {
+          text-align: left;
+          padding: 10px;
+          border-bottom: 1px solid #e2e8f0;
+          color: #2d3748;
+        }
+        
+        .results-table th {
+          color: #718096;
+          font-size: 0.85em;
+          text-transform: uppercase;
+        }
+        
+        .results-table th.sortable {
+          cursor: pointer;
+          white-space: nowrap;
+        }
+        
+        .results-table td.metric {
+          text-align: right;
+        }
+        
+        .rules-table {
+          width: 100%;
+          border-collapse: collapse;
+        }
+        
+        .rules-table th,
+        .rules-table td {
+          text-align: left;
+          padding: 8px 10px;
+          border-bottom: 1px solid #e2e8f0;
+          color: #2d3748;
+        }
+        
+        .rules-table th {
+          color: #718096;
+          font-size: 0.85em;
+          text-transform: uppercase;
+        }
+        
+        .opt-in {
+          margin-left: 8px;
+          color: #718096;
+          font-size: 0.8em;
+        }
+        
+        .handle-change {
+          color: #718096;
+          font-size: 0.85em;
+          font-family: 'Courier New', monospace;
+        }
+        
+        .remaining {
+          color: #c05621;
+          font-size: 0.85em;
+          margin-top: 4px;
+        }
+
+        .other-issues {
+          color: #718096;
+          font-size: 0.85em;
+          margin-top: 4px;
+        }
+        
+        .stat-card .detail {
+          color: #718096;
+          font-size: 0.85em;
+          margin-top: 4px;
+        }
+        
+        .severity {
+          display: inline-block;
+          padding: 2px 8px;
+          border-radius: 10px;
+          font-size: 0.8em;
+          font-weight: 600;
+        }
+        
+        .severity.high {
+          background: #fed7d7;
+          color: #c53030;
+        }
+        
+        .severity.medium {
+          background: #fefcbf;
+          color: #975a16;
+        }
+        
+        .severity.low {
+          background: #e2e8f0;
+          color: #4a5568;
+        }
+        
+        .batch-section {
+          margin-bottom: 30px;
+        }
+        
+        .form-group textarea {
+          width: 100%;
+          padding: 12px 15px;
+          border: 2px solid #e2e8f0;
+          border-radius: 8px;
+          font-family: monospace;
+          font-size: 0.95em;
+          margin-bottom: 8px;
+        }
+        
+        .batch-table .actions {
+          display: flex;
+          gap: 8px;
+        }
+        
+        .batch-table .btn {
+          padding: 6px 14px;
+          font-size: 0.9em;
+        }
+        
+        .batch-status.failed {
+          color: #c53030;
+        }
+        
+        .batch-status.completed {
+          color: #2f855a;
+        }
+        
+        .batch-status.confirming {
+          color: #c05621;
+          font-weight: 600;
+        }
+        
+        .resume-box {
+          background: #ebf8ff;
+          border: 2px solid #90cdf4;
+          border-radius: 10px;
+          padding: 15px;
+          margin-bottom: 20px;
+        }
+        
+        .resume-box p {
+          color: #2c5282;
+          margin-bottom: 10px;
+        }
+        
+        .restore-section {
+          margin-top: 30px;
+          padding: 25px;
+          background: #f7f9fc;
+          border-radius: 15px;
+        }
+        
+        .restore-section h2 {
+          margin-bottom: 15px;
+        }
+        
+        .restore-list {
+          list-style: none;
+          margin-bottom: 20px;
+        }
+        
+        .restore-list li {
+          display: flex;
+          align-items: center;
+          gap: 10px;
+          padding: 8px 0;
+          border-bottom: 1px solid #e2e8f0;
+          color: #2d3748;
+        }
+        
+        .preview-list {
+          list-style: none;
+          margin: 20px 0;
+        }
+        
+        .preview-item {
+          background: white;
+          border: 2px solid #e2e8f0;
+          border-radius: 10px;
+          padding: 15px;
+          margin-bottom: 10px;
+        }
+        
+        .preview-item .preview-header {
+          display: flex;
+          align-items: center;
+          gap: 10px;
+          color: #2d3748;
+        }
+        
+        .preview-item .preview-header .meta {
+          color: #718096;
+          font-size: 0.9em;
+          margin-left: auto;
+        }
+        
+        .preview-note {
+          color: #718096;
+          margin-top: 12px;
+        }
+        
+        .duplicate-groups {
+          list-style: none;
+          margin: 20px 0;
+        }
+        
+        .duplicate-groups li {
+          background: white;
+          border: 2px solid #e2e8f0;
+          border-radius: 10px;
+          padding: 15px;
+          margin-bottom: 10px;
+          color: #2d3748;
+        }
+        
+        .duplicate-groups .meta {
+          color: #718096;
+          font-size: 0.9em;
+          margin-bottom: 6px;
+        }
+        
+        .duplicate-groups .canonical {
+          font-weight: 600;
+        }
+        
+        .duplicate-groups .score {
+          margin-left: 10px;
+          color: #718096;
+          font-size: 0.85em;
+        }
+        
+        .duplicate-groups .keep {
+          margin-left: 10px;
+          color: #2f855a;
+          font-size: 0.85em;
+        }
+        
+        .alt-text-list {
+          list-style: none;
+          margin-top: 12px;
+          font-size: 0.9em;
+        }
+        
+        .alt-text-list li {
+          display: flex;
+          gap: 10px;
+          padding: 4px 0;
+        }
+        
+        .alt-text-list .meta {
+          color: #718096;
+          margin-left: auto;
+        }
+        
+        .metafield-change {
+          display: grid;
+          grid-template-columns: 140px 1fr;
+          gap: 4px 10px;
+          margin-top: 12px;
+          font-size: 0.9em;
+        }
+        
+        .metafield-change .from {
+          grid-column: 2;
+          color: #c53030;
+          text-decoration: line-through;
+        }
+        
+        .metafield-change .to {
+          grid-column: 2;
+          color: #2f855a;
+        }
+        
+        .link-button {
+          background: none;
+          border: none;
+          color: #667eea;
+          cursor: pointer;
+          font-size: 0.9em;
+        }
+        
+        .diff-view {
+          background: #1a202c;
+          color: #e2e8f0;
+          padding: 15px;
+          border-radius: 8px;
+          margin-top: 12px;
+          max-height: 400px;
+          overflow: auto;
+          font-family: 'Courier New', monospace;
+          font-size: 0.85em;
+          white-space: pre-wrap;
+          word-break: break-all;
+        }
+        
+        .diff-line.add {
+          color: #68d391;
+          background: rgba(72, 187, 120, 0.1);
+        }
+        
+        .diff-line.remove {
+          color: #fc8181;
+          background: rgba(245, 101, 101, 0.1);
+        }
+        
+        .diff-line.equal {
+          color: #a0aec0;
+        }
+        
+        .restore-list li .meta {
+          color: #718096;
+          font-size: 0.9em;
+          margin-left: auto;
+        }
       `}</style>
 
       <div className="header">
@@ -510,8 +1476,14 @@ export default function ShopifySEOFixer() {
               </ol>
             </div>
 
-            <div className="instruction-step">
+            <div className={`instruction-step ${scopeCheck?.missingScopes.length > 0 ? 'revisit' : ''}`}>
               <h3>Step 2: Configure API Permissions</h3>
+              {scopeCheck?.missingScopes.length > 0 && (
+                <p className="revisit-note">
+                  Your token is missing: <strong>{scopeCheck.missingScopes.join(', ')}</strong>.
+                  Enable them here, save, and reinstall the app (Step 3) to get a new token.
+                </p>
+              )}
               <ol>
                 <li>In your app, go to <strong>"Configuration"</strong> tab</li>
                 <li>Click <strong>"Configure"</strong> in the Admin API integration section</li>
@@ -520,8 +1492,14 @@ export default function ShopifySEOFixer() {
                   ✓ read_content<br />
                   ✓ write_content<br />
                   ✓ read_online_store_pages<br />
-                  ✓ write_online_store_pages
+                  ✓ write_online_store_pages<br />
+                  ✓ read_products<br />
+                  ✓ write_products<br />
+                  ✓ read_online_store_navigation<br />
+                  ✓ write_online_store_navigation
                 </div>
+                <li>The product scopes are only needed to scan products and collections</li>
+                <li>The navigation scopes let the link checks see your URL redirects and let handle renames add 301 redirects</li>
                 <li>Click <strong>"Save"</strong></li>
               </ol>
             </div>
@@ -548,6 +1526,38 @@ export default function ShopifySEOFixer() {
         <div className="form-section">
           <h2>🔗 Connect Your Shopify Store</h2>
           
+          {connectedStores.length > 0 && (
+            <div className="form-group">
+              <label htmlFor="connectedStore">Connected Stores</label>
+              <div className="connected-store">
+                <select
+                  id="connectedStore"
+                  value={usingSession ? storeUrl.trim().toLowerCase() : ''}
+                  onChange={(e) => {
+                    setStoreUrl(e.target.value);
+                    setAccessToken('');
+                  }}
+                  disabled={processing}
+                >
+                  <option value="">Enter a store below</option>
+                  {connectedStores.map(store => (
+                    <option key={store.shop} value={store.shop}>{store.shop}</option>
+                  ))}
+                </select>
+                {usingSession && (
+                  <button
+                    className="btn btn-secondary"
+                    onClick={() => disconnectStore(storeUrl.trim().toLowerCase())}
+                    disabled={processing}
+                  >
+                    Disconnect
+                  </button>
+                )}
+              </div>
+              <small>Connected stores use the token saved when they were installed.</small>
+            </div>
+          )}
+
           <div className="form-group">
             <label htmlFor="storeUrl">Store URL</label>
             <input
@@ -560,18 +1570,43 @@ export default function ShopifySEOFixer() {
             />
           </div>
 
+          {oauthEnabled && !usingSession && (
+            <div className="form-group">
+              <button
+                className="btn btn-secondary"
+                onClick={connectWithShopify}
+                disabled={!storeUrl || processing}
+              >
+                🔐 Connect with Shopify
+              </button>
+              <small>Installs the app on this store and saves its token here, so you don&apos;t need to paste one.</small>
+            </div>
+          )}
+
           <div className="form-group">
-            <label htmlFor="accessToken">Access Token</label>
+            <label htmlFor="accessToken">Access Token{usingSession ? ' (optional)' : ''}</label>
             <input
               id="accessToken"
               type="password"
-              placeholder="shpat_xxxxxxxxxxxxxxxxxxxxx"
+              placeholder={usingSession ? 'Using the token saved for this store' : 'shpat_xxxxxxxxxxxxxxxxxxxxx'}
               value={accessToken}
               onChange={(e) => setAccessToken(e.target.value)}
               disabled={processing}
             />
           </div>
 
+          <div className="form-group">
+            <label htmlFor="apiVersion">Admin API Version (optional)</label>
+            <input
+              id="apiVersion"
+              type="text"
+              placeholder="Server default, e.g. 2025-07"
+              value={apiVersion}
+              onChange={(e) => setApiVersion(e.target.value.trim())}
+              disabled={processing}
+            />
+          </div>
+
           <div className="form-group">
             <label>Processing Mode</label>
             <div className="mode-selector">
@@ -583,17 +1618,21 @@ export default function ShopifySEOFixer() {
                 <p>Find issues without making changes</p>
               </div>
               <div 
-                className={`mode-option ${mode === 'fix' ? 'selected' : ''}`}
-                onClick={() => setMode('fix')}
+                className={`mode-option ${mode === 'fix' ? 'selected' : ''} ${fixBlocked ? 'disabled' : ''}`}
+                onClick={() => !fixBlocked && setMode('fix')}
               >
                 <h4>🔧 Fix Issues</h4>
-                <p>Automatically fix found issues</p>
+                <p>
+                  {fixBlocked
+                    ? `Needs ${scopeCheck.missingWriteScopes.join(', ')}`
+                    : 'Automatically fix found issues'}
+                </p>
               </div>
             </div>
           </div>
 
           <div className="form-group">
-            <label htmlFor="limit">Articles to Process (Max: 50 for free tier)</label>
+            <label htmlFor="limit">Items to Process (Max: 50 for free tier)</label>
             <input
               id="limit"
               type="number"
@@ -605,24 +1644,186 @@ export default function ShopifySEOFixer() {
             />
           </div>
 
+          <div className="form-group">
+            <label className="checkbox-option">
+              <input
+                type="checkbox"
+                checked={bulk}
+                onChange={() => setBulk(prev => !prev)}
+                disabled={processing}
+              />
+              Use GraphQL bulk operations
+            </label>
+            <small>Exports all content in one operation instead of paging through the REST API. Best for stores with thousands of items.</small>
+          </div>
+
+          {enabledRules.includes('thin_content') && (
+            <div className="form-group">
+              <label htmlFor="thin-content">Thin Content Below (words)</label>
+              <input
+                id="thin-content"
+                type="number"
+                min="1"
+                value={thinContentWords}
+                onChange={(e) => setThinContentWords(parseInt(e.target.value) || 300)}
+                disabled={processing}
+              />
+              <small>Checked for blog posts and pages only. Product and collection descriptions are short by design.</small>
+            </div>
+          )}
+
+          {enabledRules.some(id => id.startsWith('focus_keyword') || id.startsWith('keyword_')) && (
+            <div className="form-group">
+              <label htmlFor="keyword-tag">Focus Keyword Source</label>
+              <input
+                id="keyword-tag"
+                type="text"
+                placeholder="Tag prefix, e.g. kw:"
+                value={keywordTagPrefix}
+                onChange={(e) => setKeywordTagPrefix(e.target.value)}
+                disabled={processing}
+              />
+              <input
+                type="text"
+                placeholder="Metafield, e.g. custom.focus_keyword"
+                value={keywordMetafield}
+                onChange={(e) => setKeywordMetafield(e.target.value)}
+                disabled={processing}
+              />
+              <small>A tag such as <code>kw:trail running shoes</code> wins over the metafield.</small>
+            </div>
+          )}
+
+          {enabledRules.includes('duplicate_content') && (
+            <div className="form-group">
+              <label htmlFor="similarity">Near-Duplicate Threshold (% similar)</label>
+              <input
+                id="similarity"
+                type="number"
+                min="50"
+                max="100"
+                value={similarityThreshold}
+                onChange={(e) => setSimilarityThreshold(parseInt(e.target.value) || 90)}
+                disabled={processing}
+              />
+            </div>
+          )}
+
+          {availableResources.length > 0 && (
+            <div className="form-group">
+              <label>Content to Scan</label>
+              <div className="resource-options">
+                {availableResources.map(resource => (
+                  <label key={resource.type} className="checkbox-option">
+                    <input
+                      type="checkbox"
+                      checked={resourceTypes.includes(resource.type)}
+                      onChange={() => setResourceTypes(prev => toggleId(prev, resource.type))}
+                      disabled={processing}
+                    />
+                    {resource.label}
+                  </label>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {availableRules.length > 0 && (
+            <div className="form-group">
+              <label>Checks</label>
+              <table className="rules-table">
+                <thead>
+                  <tr>
+                    <th>Check</th>
+                    <th>Severity</th>
+                    <th>Run</th>
+                    <th>Fix</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {availableRules.map(rule => (
+                    <tr key={rule.id}>
+                      <td>
+                        {rule.label}
+                        {rule.optIn && <span className="opt-in">opt-in fix</span>}
+                      </td>
+                      <td><span className={`severity ${rule.severity}`}>{rule.severity}</span></td>
+                      <td>
+                        <input
+                          type="checkbox"
+                          checked={enabledRules.includes(rule.id)}
+                          onChange={() => setEnabledRules(prev => toggleId(prev, rule.id))}
+                          disabled={processing}
+                        />
+                      </td>
+                      <td>
+                        <input
+                          type="checkbox"
+                          checked={rule.fixable && enabledRules.includes(rule.id) && fixRuleSelection.includes(rule.id)}
+                          onChange={() => setFixRuleSelection(prev => toggleId(prev, rule.id))}
+                          disabled={processing || !rule.fixable || !enabledRules.includes(rule.id)}
+                        />
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
           {mode === 'fix' && (
             <div className="warning-box">
-              <p>⚠️ <strong>Warning:</strong> Fix mode will modify your blog content!</p>
+              <p>⚠️ <strong>Warning:</strong> Fix mode will modify your store content!</p>
               <p>• Always test with "Analyze Only" first</p>
-              <p>• Consider backing up your content</p>
-              <p>• Changes cannot be automatically undone</p>
+              <p>• Original content is backed up before every change</p>
+              <p>• Use &quot;Restore&quot; below to roll back a run or individual items</p>
+            </div>
+          )}
+
+          {pendingJob && (
+            <div className="resume-box">
+              <p>
+                ⏸️ <strong>Unfinished {pendingJob.mode === 'fix' ? 'fix' : 'analysis'} job</strong> for {pendingJob.store}:
+                {' '}{pendingJob.processed} of up to {pendingJob.limit} items processed.
+              </p>
+              {pendingJob.error && <p>Last error: {pendingJob.error}</p>}
+              <p>Enter the access token for this store, or pick it from the connected stores, to continue where it stopped.</p>
+              <div className="action-buttons">
+                <button
+                  className="btn btn-primary"
+                  onClick={resumeJob}
+                  disabled={!hasCredentials || processing}
+                >
+                  🔁 Resume Job
+                </button>
+                <button
+                  className="btn btn-danger"
+                  onClick={discardJob}
+                  disabled={processing}
+                >
+                  Discard
+                </button>
+              </div>
             </div>
           )}
 
           <div className="action-buttons">
             <button 
               className="btn btn-primary"
-              onClick={processSite}
-              disabled={!storeUrl || !accessToken || processing}
+              onClick={() => processSite()}
+              disabled={!storeUrl || !hasCredentials || processing || resourceTypes.length === 0 || (availableRules.length > 0 && enabledRules.length === 0)}
             >
               {processing ? 'Processing...' : `Start ${mode === 'dry-run' ? 'Analysis' : 'Fixing'}`}
             </button>
             
+            <button
+              className="btn btn-secondary"
+              onClick={loadBackupRuns}
+              disabled={!storeUrl || !hasCredentials || processing}
+            >
+              ♻️ Previous Backups
+            </button>
+            
             {results && (
               <>
                 <button 
@@ -642,6 +1843,129 @@ export default function ShopifySEOFixer() {
           </div>
         </div>
 
+        <div className="batch-section">
+          <button
+            className="toggle-instructions"
+            onClick={() => setShowBatch(!showBatch)}
+          >
+            {showBatch ? '🏢 Hide' : '🏢 Show'} Batch Audit
+          </button>
+
+          {showBatch && (
+            <>
+              <div className="form-group">
+                <label htmlFor="batchInput">Stores and Tokens</label>
+                <textarea
+                  id="batchInput"
+                  rows={6}
+                  placeholder={'first-store.myshopify.com, shpat_xxxxxxxx\nsecond-store.myshopify.com, shpat_yyyyyyyy\nconnected-store.myshopify.com'}
+                  value={batchInput}
+                  onChange={(e) => setBatchInput(e.target.value)}
+                  disabled={processing}
+                />
+                <small>
+                  One store per line, followed by its token. Leave the token out for stores connected with Shopify.
+                  The mode, content types, checks and limits above apply to every store.
+                </small>
+                <input
+                  type="file"
+                  accept=".csv,.txt"
+                  onChange={(e) => loadBatchFile(e.target.files[0]).catch(error => addLog(`❌ Error: ${error.message}`, 'error'))}
+                  disabled={processing}
+                />
+              </div>
+
+              {mode === 'fix' && (
+                <div className="warning-box">
+                  <p>⚠️ <strong>Warning:</strong> Fix mode will modify the content of every store in the list!</p>
+                  <p>• Each store waits for you to confirm it before anything is changed</p>
+                </div>
+              )}
+
+              <div className="action-buttons">
+                <button
+                  className="btn btn-primary"
+                  onClick={runBatch}
+                  disabled={!batchInput.trim() || processing || resourceTypes.length === 0 || (availableRules.length > 0 && enabledRules.length === 0)}
+                >
+                  {processing && batchStores.length > 0 ? 'Processing...' : `Start Batch ${mode === 'dry-run' ? 'Analysis' : 'Fixing'}`}
+                </button>
+                {batchStores.some(entry => entry.results) && (
+                  <button
+                    className="btn btn-secondary"
+                    onClick={downloadBatchReport}
+                  >
+                    📥 Download Combined Report
+                  </button>
+                )}
+              </div>
+
+              {batchStores.length > 0 && (
+                <>
+                  <div className="results-summary">
+                    <div className="stat-card">
+                      <h3>Stores</h3>
+                      <div className="value">{batchSummary.completedStores}/{batchSummary.stores}</div>
+                      {batchSummary.failedStores > 0 && (
+                        <div className="detail">{batchSummary.failedStores} failed</div>
+                      )}
+                    </div>
+                    <div className="stat-card">
+                      <h3>Total Processed</h3>
+                      <div className="value">{batchSummary.totalProcessed}</div>
+                    </div>
+                    <div className="stat-card">
+                      <h3>Issues Found</h3>
+                      <div className="value">{batchSummary.issuesFound}</div>
+                    </div>
+                    <div className="stat-card">
+                      <h3>Items Fixed</h3>
+                      <div className="value">{batchSummary.fixed}</div>
+                      <div className="detail">{successRate(batchSummary)} success</div>
+                    </div>
+                  </div>
+
+                  <table className="results-table batch-table">
+                    <thead>
+                      <tr>
+                        <th>Store</th>
+                        <th>Status</th>
+                        <th>Progress</th>
+                        <th>Issues</th>
+                        <th>Fixed</th>
+                        <th></th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {batchStores.map(entry => (
+                        <tr key={entry.store}>
+                          <td>{entry.store}</td>
+                          <td className={`batch-status ${entry.status}`}>
+                            {BATCH_STATUS_LABELS[entry.status]}
+                            {entry.error && <div className="remaining">{entry.error}</div>}
+                          </td>
+                          <td>{entry.processed} / {entry.limit}</td>
+                          <td>{entry.results?.issuesFound ?? '–'}</td>
+                          <td>{entry.results?.fixed ?? '–'}</td>
+                          <td>
+                            <div className="actions">
+                              {entry.results && (
+                                <button className="btn btn-secondary" onClick={() => viewBatchStore(entry)} disabled={processing}>
+                                  View
+                                </button>
+                              )}
+                            </div>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </>
+              )}
+            </>
+          )}
+        </div>
+
         {logs.length > 0 && (
           <div className="logs-section">
             <h3>📋 Process Log</h3>
@@ -668,29 +1992,241 @@ export default function ShopifySEOFixer() {
                 <div className="value">{results.issuesFound || 0}</div>
               </div>
               <div className="stat-card">
-                <h3>Articles Fixed</h3>
+                <h3>Items Fixed</h3>
                 <div className="value">{results.fixed || 0}</div>
+                {results.verified?.partiallyFixed > 0 && (
+                  <div className="detail">+{results.verified.partiallyFixed} partially</div>
+                )}
               </div>
               <div className="stat-card">
                 <h3>Success Rate</h3>
                 <div className="value">
-                  {results.totalProcessed > 0 
-                    ? `${Math.round((results.fixed / results.totalProcessed) * 100)}%`
-                    : '0%'}
+                  {successRate(results)}
                 </div>
               </div>
             </div>
+
+            <table className="results-table">
+              <thead>
+                <tr>
+                  <th>Type</th>
+                  <th>Source</th>
+                  <th>Title</th>
+                  <th>Issues</th>
+                  <th>Status</th>
+                  {METRIC_COLUMNS.map(column => (
+                    <th key={column.key} className="sortable" onClick={() => toggleSort(column.key)}>
+                      {column.label}
+                      {sort.key === column.key && (sort.direction === 'desc' ? ' ▼' : ' ▲')}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {sortItems(results.items, sort).map(item => (
+                  <tr key={item.key}>
+                    <td>{resourceLabel(item.resourceType)}</td>
+                    <td>{item.source}</td>
+                    <td>
+                      {item.title}
+                      {item.handleChange && (
+                        <div className="handle-change">{describeHandleChange(item.handleChange)}</div>
+                      )}
+                    </td>
+                    <td>
+                      {issueKeys(item.issues).join(', ')}
+                      {hasRemaining(item) && (
+                        <div className="remaining">Remaining: {issueKeys(item.remainingIssues).join(', ')}</div>
+                      )}
+                      {hasOther(item) && (
+                        <div className="other-issues">Not fixed by this run: {issueKeys(item.otherIssues).join(', ')}</div>
+                      )}
+                    </td>
+                    <td>{item.status}</td>
+                    {METRIC_COLUMNS.map(column => (
+                      <td key={column.key} className="metric">{item.metrics?.[column.key] ?? '–'}</td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            {(results.groups?.duplicate_content || []).length > 0 && (
+              <>
+                <h2>🧬 Duplicate Content</h2>
+                <ul className="duplicate-groups">
+                  {results.groups.duplicate_content.map(group => (
+                    <li key={group.canonical}>
+                      <div className="meta">
+                        {group.kind === 'exact' ? 'Exact copies' : `At least ${Math.round(group.similarity * 100)}% similar`}
+                      </div>
+                      {group.keys.map(key => (
+                        <div key={key} className={key === group.canonical ? 'canonical' : ''}>
+                          {results.items.find(item => item.key === key)?.title || key}
+                          {key === group.canonical
+                            ? <span className="keep">Keep (suggested canonical)</span>
+                            : <span className="score">{Math.round(group.scores[key] * 100)}%</span>}
+                        </div>
+                      ))}
+                    </li>
+                  ))}
+                </ul>
+              </>
+            )}
+
+            {results.mode === 'dry-run' && results.items.some(item => item.preview) && (
+              <>
+                <h2>🔎 Proposed Changes</h2>
+                <ul className="preview-list">
+                  {results.items
+                    .filter(item => item.preview)
+                    .map(item => (
+                      <li key={item.key} className="preview-item">
+                        <div className="preview-header">
+                          <input
+                            type="checkbox"
+                            checked={applySelection.includes(item.key)}
+                            onChange={() => toggleApplySelection(item.key)}
+                            disabled={processing}
+                          />
+                          {item.title}
+                          <span className="meta">{resourceLabel(item.resourceType)} · {item.source}</span>
+                          <button className="link-button" onClick={() => toggleDiff(item.key)}>
+                            {expandedDiffs.includes(item.key) ? 'Hide diff' : 'Show diff'}
+                          </button>
+                        </div>
+                        {expandedDiffs.includes(item.key) && (
+                          <>
+                            {item.preview.proposed === null ? (
+                              <p className="preview-note">No content changes</p>
+                            ) : (
+                              <DiffView original={item.preview.original} proposed={item.preview.proposed} />
+                            )}
+                            {(item.preview.altText || []).length > 0 && (
+                              <ul className="alt-text-list">
+                                {item.preview.altText.map((entry, i) => (
+                                  <li key={i}>
+                                    <code>{entry.src.split('?')[0].split('/').pop()}</code>
+                                    <span>&ldquo;{entry.alt}&rdquo;</span>
+                                    <span className="meta">from {entry.source}</span>
+                                  </li>
+                                ))}
+                              </ul>
+                            )}
+                            {(item.preview.metafields || []).map(change => (
+                              <div key={change.key} className="metafield-change">
+                                <strong>{change.key}</strong>
+                                <span className="from">{change.from || '(empty)'}</span>
+                                <span className="to">{change.to}</span>
+                              </div>
+                            ))}
+                          </>
+                        )}
+                      </li>
+                    ))}
+                </ul>
+                <div className="action-buttons">
+                  <button
+                    className="btn btn-primary"
+                    onClick={applySelected}
+                    disabled={processing || applySelection.length === 0}
+                  >
+                    🔧 Apply Selected ({applySelection.length})
+                  </button>
+                </div>
+              </>
+            )}
+          </div>
+        )}
+        {(backupRuns || results?.runId) && (
+          <div className="restore-section">
+            <h2>♻️ Restore</h2>
+
+            {results?.runId && (
+              <>
+                <p>Items changed in run <code>{results.runId}</code>:</p>
+                <ul className="restore-list">
+                  {results.items
+                    .filter(item => item.written)
+                    .map(item => (
+                      <li key={item.key}>
+                        <input
+                          type="checkbox"
+                          checked={restoreSelection.includes(item.key)}
+                          onChange={() => toggleRestoreSelection(item.key)}
+                          disabled={processing}
+                        />
+                        {item.title}
+                        <span className="meta">{resourceLabel(item.resourceType)} · {item.source}</span>
+                      </li>
+                    ))}
+                </ul>
+                <div className="action-buttons">
+                  <button
+                    className="btn btn-primary"
+                    onClick={() => restoreRun(results.runId, restoreSelection)}
+                    disabled={processing || restoreSelection.length === 0}
+                  >
+                    Restore Selected ({restoreSelection.length})
+                  </button>
+                  <button
+                    className="btn btn-danger"
+                    onClick={() => restoreRun(results.runId)}
+                    disabled={processing}
+                  >
+                    Restore Entire Run
+                  </button>
+                </div>
+              </>
+            )}
+
+            {backupRuns && (
+              <ul className="restore-list">
+                {backupRuns.length === 0 && <li>No backups found for this store.</li>}
+                {backupRuns.map(run => (
+                  <li key={run.runId}>
+                    <code>{run.runId}</code>
+                    <span className="meta">
+                      {run.items.length} item(s) · {new Date(run.createdAt).toLocaleString()}
+                    </span>
+                    <button
+                      className="btn btn-danger"
+                      onClick={() => restoreRun(run.runId)}
+                      disabled={processing}
+                    >
+                      Restore
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
           </div>
         )}
       </div>
 
       {processing && (
         <div className="processing-overlay">
-          <div className="processing-modal">
-            <div className="spinner"></div>
-            <h3>Processing your blog posts...</h3>
-            <p>This may take a few minutes depending on the number of articles</p>
-          </div>
+          {/* A batch fix run asks about each store here, since the overlay covers the batch table. */}
+          {confirmingStore ? (
+            <div className="processing-modal">
+              <h3>Fix {confirmingStore.store}?</h3>
+              <p>⚠️ Fix mode will modify this store&apos;s content. Originals are backed up first.</p>
+              <div className="confirm-actions">
+                <button className="btn btn-danger" onClick={() => confirmStore.current?.(true)}>
+                  Fix This Store
+                </button>
+                <button className="btn btn-secondary" onClick={() => confirmStore.current?.(false)}>
+                  Skip
+                </button>
+              </div>
+            </div>
+          ) : (
+            <div className="processing-modal">
+              <div className="spinner"></div>
+              <h3>Processing your store content...</h3>
+              <p>This may take a few minutes depending on the number of items</p>
+            </div>
+          )}
         </div>
       )}
     </div>
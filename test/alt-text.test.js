@@ -0,0 +1,36 @@
+import { describe, expect, it } from 'vitest';
+import { fixArticle } from '../lib/seo/analyzer';
+
+const altsOf = (html) => [...html.matchAll(/alt="([^"]*)"/g)].map(match => match[1]);
+
+const fix = (body_html, extra = {}) =>
+  fixArticle({ title: 'Summer Lookbook', handle: 'summer-lookbook', body_html, ...extra }, { rules: ['missing_alt_text', 'weak_alt_text'] });
+
+describe('generated alt text', () => {
+  it('gives images under the same heading different descriptions', () => {
+    const { content } = fix([
+      '<h2>Linen shirts</h2>',
+      '<img src="/cdn/shop/files/IMG_2041.jpg">',
+      '<img src="/cdn/shop/files/white-linen-shirt.jpg">',
+      '<img src="/cdn/shop/files/IMG_2042.jpg">'
+    ].join(''));
+
+    expect(altsOf(content)).toEqual(['Linen shirts', 'white linen shirt', 'Summer Lookbook']);
+  });
+
+  it('does not repeat alt text the post already has', () => {
+    const { content } = fix([
+      '<h2>Linen shirts</h2>',
+      '<img src="/cdn/shop/files/a.jpg" alt="Linen shirts">',
+      '<img src="/cdn/shop/files/blue-linen-shirt.jpg" alt="">'
+    ].join(''));
+
+    expect(altsOf(content)).toEqual(['Linen shirts', 'blue linen shirt']);
+  });
+
+  it('leaves an image alone when every signal is taken', () => {
+    const { content } = fix('<img src="/a.jpg" alt="Summer Lookbook"><img src="/b.jpg">');
+
+    expect(content).toBeNull();
+  });
+});
@@ -0,0 +1,85 @@
+import { describe, expect, it } from 'vitest';
+import { combineResults, parseStoreList } from '../lib/batch';
+
+describe('parseStoreList', () => {
+  it('reads one store per line with an optional token', () => {
+    const { stores, errors } = parseStoreList([
+      'store,token',
+      '# spring audit',
+      '',
+      'https://One.myshopify.com/admin, shpat_one',
+      'two.myshopify.com\tshpat_two',
+      '"three.myshopify.com","shpat_three"',
+      'four.myshopify.com   shpat_four',
+      'shop.example.com'
+    ].join('\r\n'));
+
+    expect(errors).toEqual([]);
+    expect(stores).toEqual([
+      { store: 'one.myshopify.com', token: 'shpat_one' },
+      { store: 'two.myshopify.com', token: 'shpat_two' },
+      { store: 'three.myshopify.com', token: 'shpat_three' },
+      { store: 'four.myshopify.com', token: 'shpat_four' },
+      { store: 'shop.example.com', token: '' }
+    ]);
+  });
+
+  it('reports malformed and repeated lines by number and keeps the rest', () => {
+    const { stores, errors } = parseStoreList('one.myshopify.com\nnot-a-store\none.myshopify.com, other\na.myshopify.com, t, extra');
+
+    expect(stores).toEqual([{ store: 'one.myshopify.com', token: '' }]);
+    expect(errors).toEqual([
+      'Line 2: expected "store, token" but got "not-a-store"',
+      'Line 3: one.myshopify.com is listed more than once',
+      'Line 4: expected "store, token" but got "a.myshopify.com, t, extra"'
+    ]);
+  });
+
+  it('accepts empty input', () => {
+    expect(parseStoreList('')).toEqual({ stores: [], errors: [] });
+    expect(parseStoreList(undefined)).toEqual({ stores: [], errors: [] });
+  });
+});
+
+describe('combineResults', () => {
+  const verified = (fixed) => ({ attempted: fixed + 1, fixed, partiallyFixed: 0, unchanged: 1, unverified: 0, failed: 0 });
+
+  const entries = [
+    {
+      store: 'one.myshopify.com',
+      status: 'completed',
+      results: { totalProcessed: 3, issuesFound: 2, fixed: 1, verified: verified(1), items: [{ key: 'pages:1' }] }
+    },
+    { store: 'two.myshopify.com', status: 'failed', results: null },
+    { store: 'three.myshopify.com', status: 'skipped', results: null },
+    {
+      store: 'four.myshopify.com',
+      status: 'completed',
+      results: { totalProcessed: 5, issuesFound: 4, fixed: 2, verified: verified(2), items: [{ key: 'pages:1' }, { key: 'articles:7' }] }
+    }
+  ];
+
+  it('adds up the finished stores and tags every item with its store', () => {
+    const combined = combineResults(entries, 'fix');
+
+    expect(combined).toMatchObject({
+      mode: 'fix',
+      stores: 4,
+      completedStores: 2,
+      failedStores: 1,
+      totalProcessed: 8,
+      issuesFound: 6,
+      fixed: 3,
+      verified: { attempted: 5, fixed: 3, partiallyFixed: 0, unchanged: 2, unverified: 0, failed: 0 }
+    });
+    expect(combined.items).toEqual([
+      { key: 'pages:1', store: 'one.myshopify.com' },
+      { key: 'pages:1', store: 'four.myshopify.com' },
+      { key: 'articles:7', store: 'four.myshopify.com' }
+    ]);
+  });
+
+  it('leaves verification out of an analysis', () => {
+    expect(combineResults(entries, 'dry-run')).not.toHaveProperty('verified');
+  });
+});
@@ -0,0 +1,41 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { createShopifyClient } from '../lib/shopify/client';
+import { shopifyFetch } from '../lib/shopify/request';
+
+vi.mock('../lib/shopify/request', () => ({ shopifyFetch: vi.fn() }));
+
+const client = () => createShopifyClient({ store: 'shop.myshopify.com', accessToken: 'shpat_secret', apiVersion: '2025-07' });
+
+beforeEach(() => {
+  shopifyFetch.mockReset();
+  shopifyFetch.mockResolvedValue(new Response('{}'));
+});
+
+describe('createShopifyClient().request', () => {
+  it('sends relative paths to the versioned admin URL with the token', async () => {
+    await client().request('shop.json');
+
+    const [url, options] = shopifyFetch.mock.calls[0];
+    expect(url).toBe('https://shop.myshopify.com/admin/api/2025-07/shop.json');
+    expect(options.headers['X-Shopify-Access-Token']).toBe('shpat_secret');
+  });
+
+  it('follows absolute pagination links on the shop itself', async () => {
+    const next = 'https://shop.myshopify.com/admin/api/2025-07/articles.json?page_info=abc';
+    await client().request(next);
+
+    expect(shopifyFetch).toHaveBeenCalledWith(next, expect.anything());
+  });
+
+  it('refuses absolute URLs on any other host', async () => {
+    for (const url of [
+      'https://evil.example.com/admin/api/2025-07/articles.json',
+      'https://other.myshopify.com/admin/api/2025-07/articles.json',
+      'https://shop.myshopify.com.evil.example.com/x',
+      'https://shop.myshopify.com:8443/x'
+    ]) {
+      await expect(client().request(url)).rejects.toThrow(/Refusing to send the shop.myshopify.com access token/);
+    }
+    expect(shopifyFetch).not.toHaveBeenCalled();
+  });
+});
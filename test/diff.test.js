@@ -0,0 +1,58 @@
+import { describe, expect, it } from 'vitest';
+import { diffLines, fingerprintChange, previewFingerprint, splitHtmlLines } from '../lib/diff';
+
+describe('diffLines', () => {
+  it('splits HTML between tags into lines', () => {
+    expect(splitHtmlLines('<h1>Title</h1>  <p>One</p>\n<p>Two</p>')).toEqual(['<h1>Title</h1>', '<p>One</p>', '<p>Two</p>']);
+    expect(splitHtmlLines(null)).toEqual([]);
+  });
+
+  it('keeps unchanged lines and marks the rest as removed or added', () => {
+    expect(diffLines('<h1>Title</h1><p>One</p><p>Two</p>', '<h2>Title</h2><p>One</p><p>Two</p><p>Three</p>')).toEqual([
+      { type: 'remove', text: '<h1>Title</h1>' },
+      { type: 'add', text: '<h2>Title</h2>' },
+      { type: 'equal', text: '<p>One</p>' },
+      { type: 'equal', text: '<p>Two</p>' },
+      { type: 'add', text: '<p>Three</p>' }
+    ]);
+  });
+
+  it('finds nothing to change in identical content', () => {
+    const html = '<p>One</p><p>Two</p>';
+    expect(diffLines(html, html).every(line => line.type === 'equal')).toBe(true);
+  });
+});
+
+describe('fingerprintChange', () => {
+  const change = {
+    content: '<h2>Title</h2>',
+    metafields: [{ namespace: 'global', key: 'description_tag', value: 'About the shirt' }],
+    handle: 'linen-shirt'
+  };
+
+  it('is stable for the same change', () => {
+    expect(fingerprintChange(change)).toBe(fingerprintChange({ ...change }));
+  });
+
+  it('changes with the content, any metafield value or the handle', () => {
+    const base = fingerprintChange(change);
+
+    expect(fingerprintChange({ ...change, content: '<h2>Title.</h2>' })).not.toBe(base);
+    expect(fingerprintChange({ ...change, metafields: [{ ...change.metafields[0], value: 'About the shirts' }] })).not.toBe(base);
+    expect(fingerprintChange({ ...change, handle: null })).not.toBe(base);
+    expect(fingerprintChange({ ...change, metafields: [] })).not.toBe(base);
+  });
+
+  it('matches the fingerprint of the preview shown for the change', () => {
+    const item = {
+      preview: {
+        original: '<h1>Title</h1>',
+        proposed: change.content,
+        metafields: [{ key: 'description_tag', from: null, to: 'About the shirt' }]
+      },
+      handleChange: { from: 'linen-shirt-copy', to: 'linen-shirt' }
+    };
+
+    expect(previewFingerprint(item)).toBe(fingerprintChange(change));
+  });
+});
@@ -0,0 +1,63 @@
+import { describe, expect, it } from 'vitest';
+import { applyStoreRules, collectSignals } from '../lib/seo/analyzer';
+
+const RULES = ['duplicate_content'];
+
+// Eighty different words, so every five-word shingle is unique.
+const WORDS = Array.from({ length: 80 }, (_, i) => `word${i}`);
+
+const article = (key, words, published_at) => ({ key, title: key, published_at, body_html: `<p>${words.join(' ')}</p>` });
+
+const check = (articles, options) => {
+  const entries = articles.map(item => ({ key: item.key, signals: collectSignals(item, { rules: RULES }), issues: {} }));
+  const groups = applyStoreRules(entries, { rules: RULES, options });
+  return { groups: groups.duplicate_content, issues: Object.fromEntries(entries.map(entry => [entry.key, entry.issues.duplicate_content])) };
+};
+
+describe('duplicate_content', () => {
+  it('groups exact copies and keeps the oldest as canonical', () => {
+    const { groups, issues } = check([
+      article('articles:2', WORDS, '2024-05-01'),
+      article('articles:1', WORDS, '2023-01-01'),
+      article('articles:3', [...WORDS].reverse(), '2022-01-01')
+    ]);
+
+    expect(groups).toEqual([{
+      kind: 'exact',
+      similarity: 1,
+      canonical: 'articles:1',
+      keys: ['articles:2', 'articles:1'],
+      scores: { 'articles:2': 1 }
+    }]);
+    expect(issues['articles:2']).toEqual(['Exact copy of articles:1 (suggested canonical)']);
+    expect(issues['articles:1']).toEqual(['Keep this; articles:2 is an exact copy']);
+    expect(issues['articles:3']).toBe(false);
+  });
+
+  it('ignores formatting and case when comparing copies', () => {
+    const { groups } = check([
+      article('pages:1', WORDS, '2023-01-01'),
+      { key: 'pages:2', title: 'x', body_html: `<h2>${WORDS.slice(0, 40).join(' ').toUpperCase()}</h2><p>${WORDS.slice(40).join(', ')}.</p>` }
+    ]);
+
+    expect(groups[0].kind).toBe('exact');
+  });
+
+  it('groups near copies by the similarity threshold', () => {
+    const edited = WORDS.map((word, i) => (i === WORDS.length - 1 ? 'changed' : word));
+    const articles = [article('articles:1', WORDS, '2023-01-01'), article('articles:2', edited, '2024-01-01')];
+
+    const { groups, issues } = check(articles);
+    expect(groups).toHaveLength(1);
+    expect(groups[0].kind).toBe('near');
+    expect(groups[0].similarity).toBeLessThan(1);
+    expect(issues['articles:2'][0]).toMatch(/^\d+% similar to articles:1 \(suggested canonical\)$/);
+
+    expect(check(articles, { similarityThreshold: 1 }).groups).toEqual([]);
+  });
+
+  it('leaves short items out', () => {
+    const short = WORDS.slice(0, 20);
+    expect(check([article('pages:1', short), article('pages:2', short)]).groups).toEqual([]);
+  });
+});
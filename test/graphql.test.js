@@ -0,0 +1,125 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { safeFetch } from '../lib/outbound';
+import { readJsonl, runMutations } from '../lib/shopify/graphql';
+
+vi.mock('../lib/outbound', () => ({
+  OutboundRequestError: class OutboundRequestError extends Error {},
+  safeFetch: vi.fn()
+}));
+
+const URL = 'https://storage.example.test/bulk.jsonl';
+const FILE = '{"id":1,"title":"Café"}\n{"id":2,"title":"Crème"}\n\n{"id":3,"title":"Tea"}';
+
+// Streams the body in small pieces so lines and multi-byte characters are split across reads.
+const stream = (bytes, size = 5) => new ReadableStream({
+  start(controller) {
+    for (let i = 0; i < bytes.length; i += size) controller.enqueue(bytes.slice(i, i + size));
+    controller.close();
+  }
+});
+
+const serve = ({ honourRange = true } = {}) => {
+  safeFetch.mockImplementation(async (url, options = {}) => {
+    const bytes = new TextEncoder().encode(FILE);
+    const start = Number(options.headers?.Range?.match(/^bytes=(\d+)-$/)?.[1] ?? 0);
+    if (!honourRange || start === 0) return new Response(stream(bytes), { status: 200 });
+    if (start >= bytes.length) return new Response(null, { status: 416 });
+    return new Response(stream(bytes.slice(start)), { status: 206 });
+  });
+};
+
+const readAll = async (start) => {
+  const lines = [];
+  for await (const line of readJsonl(URL, { start })) lines.push(line);
+  return lines;
+};
+
+beforeEach(() => {
+  safeFetch.mockReset();
+});
+
+describe('readJsonl', () => {
+  it('parses every line and reports the byte offset after it', async () => {
+    serve();
+    const lines = await readAll();
+
+    expect(lines.map(({ node }) => node.title)).toEqual(['Café', 'Crème', 'Tea']);
+    expect(lines.map(({ end }) => end)).toEqual([25, 51, 74]);
+    expect(safeFetch).toHaveBeenCalledWith(URL, {});
+  });
+
+  it('resumes from a byte offset with a Range request', async () => {
+    serve();
+    const lines = await readAll(25);
+
+    expect(safeFetch).toHaveBeenCalledWith(URL, { headers: { Range: 'bytes=25-' } });
+    expect(lines).toEqual([{ node: { id: 2, title: 'Crème' }, end: 51 }, { node: { id: 3, title: 'Tea' }, end: 74 }]);
+  });
+
+  it('skips to the offset itself when the server ignores Range', async () => {
+    serve({ honourRange: false });
+    expect((await readAll(51)).map(({ node }) => node.id)).toEqual([3]);
+  });
+
+  it('ends quietly when the offset is already past the end', async () => {
+    serve();
+    expect(await readAll(74)).toEqual([]);
+  });
+
+  it('reports a failed download', async () => {
+    safeFetch.mockResolvedValue(new Response('gone', { status: 403 }));
+    await expect(readAll()).rejects.toThrow(/download bulk results/);
+  });
+});
+
+describe('runMutations', () => {
+  const client = (reply) => ({
+    graphqlUrl: 'https://shop.myshopify.com/admin/api/2025-07/graphql.json',
+    request: vi.fn(reply)
+  });
+
+  const update = (id, title) => ({
+    mutation: 'articleUpdate',
+    arguments: { id: ['ID!', id], article: ['ArticleUpdateInput!', { title }] },
+    returns: 'article { id }'
+  });
+
+  it('sends aliased mutations in batches and returns results in order', async () => {
+    const operations = Array.from({ length: 12 }, (_, i) => update(`gid://shopify/Article/${i}`, `Title ${i}`));
+    const shop = client(async (url, options) => {
+      const { variables } = JSON.parse(options.body);
+      const data = {};
+      Object.keys(variables).filter(name => name.startsWith('id')).forEach(name => {
+        const alias = `m${name.slice(2)}`;
+        data[alias] = variables[name].endsWith('/3')
+          ? { article: null, userErrors: [{ field: ['title'], message: 'Title is taken' }] }
+          : { article: { id: variables[name] }, userErrors: [] };
+      });
+      return new Response(JSON.stringify({ data }));
+    });
+
+    const results = await runMutations(shop, operations);
+
+    expect(shop.request).toHaveBeenCalledTimes(2);
+    const { query, variables } = JSON.parse(shop.request.mock.calls[0][1].body);
+    expect(query).toContain('mutation Batch($id0: ID!, $article0: ArticleUpdateInput!');
+    expect(query).toContain('m0: articleUpdate(id: $id0, article: $article0) { article { id } userErrors { field message } }');
+    expect(variables.article9).toEqual({ title: 'Title 9' });
+
+    expect(results).toHaveLength(12);
+    expect(results[11].data.article.id).toBe('gid://shopify/Article/11');
+    expect(results[3].errors).toEqual([{ field: ['title'], message: 'Title is taken' }]);
+    expect(results[4].errors).toEqual([]);
+  });
+
+  it('reports a failed request as an error on every operation in the batch', async () => {
+    const shop = client(async () => new Response(JSON.stringify({ errors: [{ message: 'Internal error' }] })));
+
+    const results = await runMutations(shop, [update('gid://shopify/Article/1', 'A'), update('gid://shopify/Article/2', 'B')]);
+
+    expect(results).toEqual([
+      { data: null, errors: [{ field: null, message: 'Internal error' }] },
+      { data: null, errors: [{ field: null, message: 'Internal error' }] }
+    ]);
+  });
+});
@@ -0,0 +1,40 @@
+import { describe, expect, it } from 'vitest';
+import { analyzeArticle } from '../lib/seo/analyzer';
+import { suggestHandle } from '../lib/seo/rules/handles';
+
+const stopWords = (handle) =>
+  analyzeArticle({ title: 'x', handle, body_html: '<p>x</p>' }, { rules: ['handle_stop_words'] }).handle_stop_words;
+
+describe('handle_stop_words', () => {
+  it('keeps stop words that hold a phrase together', () => {
+    expect(stopWords('how-to-do-it')).toEqual([]);
+    expect(stopWords('salt-and-pepper-shakers')).toEqual([]);
+    expect(stopWords('linen-shirt')).toEqual([]);
+  });
+
+  it('flags stop words padding either end', () => {
+    expect(stopWords('the-best-linen-shirts')).toEqual(['the']);
+    expect(stopWords('a-guide-to-linen-for-the')).toEqual(['a', 'for', 'the']);
+  });
+});
+
+describe('suggestHandle', () => {
+  it('trims padding without breaking phrases', () => {
+    expect(suggestHandle({ handle: 'how-to-do-it', title: 'How to Do It' })).toBeNull();
+    expect(suggestHandle({ handle: 'a-guide-to-linen-care', title: 'A Guide to Linen Care' })).toBe('guide-to-linen-care');
+  });
+
+  it('drops a copy suffix but keeps a number the title ends in', () => {
+    expect(suggestHandle({ handle: 'summer-sale-1', title: 'Summer Sale' })).toBe('summer-sale');
+    expect(suggestHandle({ handle: 'summer-sale-copy-2', title: 'Summer Sale' })).toBe('summer-sale');
+    expect(suggestHandle({ handle: 'iphone-15', title: 'iPhone 15' })).toBeNull();
+  });
+
+  it('cuts long handles at a word boundary', () => {
+    const handle = Array.from({ length: 20 }, (_, i) => `word${i}`).join('-');
+    const suggestion = suggestHandle({ handle, title: 'Words' });
+
+    expect(suggestion.length).toBeLessThanOrEqual(60);
+    expect(handle.startsWith(`${suggestion}-`)).toBe(true);
+  });
+});
@@ -0,0 +1,51 @@
+import { describe, expect, it } from 'vitest';
+import { analyzeArticle, fixArticle } from '../lib/seo/analyzer';
+
+const RULES = ['empty_headings', 'content_h1', 'skipped_heading_levels', 'missing_subheadings'];
+
+const analyze = (body_html) => analyzeArticle({ title: 'Linen care', body_html }, { rules: RULES });
+
+// Heading tags in the fixed content, in order.
+const outline = (body_html) =>
+  (fixArticle({ title: 'Linen care', body_html }, { rules: RULES }).content || body_html).match(/<h\d/g);
+
+describe('heading checks', () => {
+  it('flags H1s in the content', () => {
+    expect(analyze('<h1>Linen care</h1><p>Text</p>').content_h1).toEqual(['Linen care']);
+    expect(analyze('<h2>Washing</h2><p>Text</p>').content_h1).toEqual([]);
+  });
+
+  it('flags a heading that skips a level, starting from the title', () => {
+    expect(analyze('<h3>Washing</h3><h2>Drying</h2><h4>Ironing</h4>').skipped_heading_levels)
+      .toEqual(['h1 → h3: Washing', 'h2 → h4: Ironing']);
+    expect(analyze('<h2>Washing</h2><h3>Cold</h3><h2>Drying</h2>').skipped_heading_levels).toEqual([]);
+  });
+
+  it('flags empty headings but not headings holding an image', () => {
+    expect(analyze('<h2> </h2><h2><img src="a.jpg" alt="Care label"></h2>').empty_headings).toEqual(['<h2>']);
+  });
+
+  it('flags long content that has no subheadings', () => {
+    const long = `<p>${'word '.repeat(300)}</p>`;
+
+    expect(analyze(long).missing_subheadings).toBe(true);
+    expect(analyze(`<h2>Washing</h2>${long}`).missing_subheadings).toBe(false);
+    expect(analyze('<p>Short</p>').missing_subheadings).toBe(false);
+  });
+});
+
+describe('heading fixes', () => {
+  it('demotes content H1s below the title and keeps the outline', () => {
+    expect(outline('<h1>Care</h1><h2>Washing</h2><h3>Cold</h3>')).toEqual(['<h2', '<h3', '<h4']);
+  });
+
+  it('closes skipped levels', () => {
+    expect(outline('<h2>Washing</h2><h4>Cold</h4><h6>Delicates</h6><h2>Drying</h2>'))
+      .toEqual(['<h2', '<h3', '<h4', '<h2']);
+  });
+
+  it('removes empty headings and leaves a clean outline alone', () => {
+    expect(outline('<h2>Washing</h2><h3></h3><p>Text</p>')).toEqual(['<h2']);
+    expect(fixArticle({ title: 'x', body_html: '<h2>Washing</h2><h3>Cold</h3>' }, { rules: RULES }).content).toBeNull();
+  });
+});
@@ -0,0 +1,75 @@
+import { readFileSync, readdirSync } from 'fs';
+import { describe, expect, it } from 'vitest';
+import { analyzeArticle, fixArticle } from '../lib/seo/analyzer';
+import { findElements, parseFragment, serialize, textOf } from '../lib/seo/dom';
+
+const FIXTURES = new URL('./fixtures/html/', import.meta.url);
+
+const fixtures = readdirSync(FIXTURES)
+  .filter(name => name.endsWith('.html'))
+  .map(name => ({ name, html: readFileSync(new URL(name, FIXTURES), 'utf8') }));
+
+const load = (name) => fixtures.find(fixture => fixture.name === name).html;
+
+const article = (html) => ({ title: 'Summer Lookbook', handle: 'summer-lookbook', body_html: html });
+
+// What must survive any rewrite: the visible text, script bodies and comments.
+const contentOf = (html) => {
+  const root = parseFragment(html);
+  return {
+    text: textOf(root),
+    scripts: findElements(root, 'script').map(script => serialize(script.children)),
+    comments: (html.match(/<!--[\s\S]*?-->/g) || [])
+  };
+};
+
+describe('malformed posts round-trip through the parser', () => {
+  it.each(fixtures)('$name keeps its text, scripts and comments', ({ html }) => {
+    expect(contentOf(serialize(parseFragment(html)))).toEqual(contentOf(html));
+  });
+
+  it.each(fixtures)('$name keeps its text, scripts and comments when fixed', ({ html }) => {
+    const { content } = fixArticle(article(html));
+    expect(contentOf(content ?? html)).toEqual(contentOf(html));
+  });
+
+  it.each(fixtures)('$name needs no second fix', ({ html }) => {
+    const { content } = fixArticle(article(html));
+    expect(fixArticle(article(content ?? html)).content).toBeNull();
+  });
+});
+
+describe('fixtures', () => {
+  it('strips a pasted document down to its body and keeps entities as written', () => {
+    const { content } = fixArticle(article(load('pasted-document.html')));
+
+    expect(content).not.toMatch(/<!DOCTYPE|<html|<head|<body|<title|<meta|<style/i);
+    expect(content).toContain('linen shirts &amp; wide-leg trousers');
+    expect(content).toContain('it&rsquo;s gone &mdash; sizes run small');
+  });
+
+  it('leaves posts without structural problems untouched', () => {
+    expect(fixArticle(article(load('unclosed-tags.html'))).content).toBeNull();
+    expect(fixArticle(article(load('scripts-and-comments.html'))).content).toBeNull();
+  });
+
+  it('reads elements and attributes rather than text that looks like them', () => {
+    const html = load('mixed-quoting.html');
+    const issues = analyzeArticle(article(html));
+
+    expect(issues.multiple_body_tags).toBe(false);
+    expect(issues.broken_structure).toBe(false);
+    expect(issues.missing_alt_text).toHaveLength(1);
+    expect(issues.missing_alt_text[0]).toContain('detail.jpg');
+  });
+
+  it('keeps attribute values that contain markup characters', () => {
+    const { content } = fixArticle(article(load('mixed-quoting.html')));
+
+    expect(content).toContain('data-caption="alt=&quot;not an alt&quot;"');
+    expect(content).toContain('title="Care guide > washing"');
+    expect(content).toContain('data-note="5 > 3 and 2 < 4"');
+    expect(content).toContain('alt="Model wearing the linen shirt on a beach"');
+    expect(content).toContain('<bodyguard>Fan fiction about a bodyguard, not a body tag</bodyguard>');
+  });
+});
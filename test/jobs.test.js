@@ -0,0 +1,63 @@
+import { beforeEach, describe, expect, it } from 'vitest';
+import { createMemoryStore, getJobStore, setJobStore } from '../lib/jobs/store';
+import createHandler from '../pages/api/shopify/jobs';
+import jobHandler from '../pages/api/shopify/jobs/[id]';
+import processHandler from '../pages/api/shopify/process';
+
+const call = (handler, req) => new Promise(resolve => {
+  const res = {
+    status: (code) => ({ json: (body) => resolve({ code, body }) })
+  };
+  handler({ query: {}, headers: {}, cookies: {}, body: {}, ...req }, res);
+});
+
+const startJob = async () => {
+  const { body } = await call(createHandler, {
+    method: 'POST',
+    body: { storeUrl: 'shop.myshopify.com', mode: 'dry-run', resourceTypes: ['pages'] }
+  });
+  return body;
+};
+
+beforeEach(() => {
+  setJobStore(createMemoryStore());
+});
+
+describe('job credentials', () => {
+  it('hands out a secret once and stores only its hash', async () => {
+    const { jobId, jobSecret, job } = await startJob();
+    const stored = await getJobStore().get(jobId);
+
+    expect(jobSecret).toMatch(/^[\w-]{32}$/);
+    expect(job).not.toHaveProperty('secretHash');
+    expect(JSON.stringify(stored)).not.toContain(jobSecret);
+  });
+
+  it('shows a job only to the browser that started it', async () => {
+    const { jobId, jobSecret } = await startJob();
+    const get = (secret) => call(jobHandler, {
+      method: 'GET',
+      query: { id: jobId },
+      headers: secret === undefined ? {} : { 'x-job-secret': secret }
+    });
+
+    expect((await get()).code).toBe(403);
+    expect((await get('wrong')).code).toBe(403);
+    expect((await startJob()).jobSecret).not.toBe(jobSecret);
+
+    const allowed = await get(jobSecret);
+    expect(allowed.code).toBe(200);
+    expect(allowed.body.job.id).toBe(jobId);
+  });
+
+  it('refuses to run or return results for a job without its secret', async () => {
+    const { jobId } = await startJob();
+    const job = await getJobStore().get(jobId);
+    await getJobStore().put({ ...job, status: 'completed' });
+
+    const refused = await call(processHandler, { method: 'POST', body: { jobId, jobSecret: 'guess' } });
+
+    expect(refused.code).toBe(403);
+    expect(refused.body).not.toHaveProperty('results');
+  });
+});
@@ -0,0 +1,78 @@
+import { describe, expect, it } from 'vitest';
+import { continueLinkIndex, countLinkTargets, startLinkIndex } from '../lib/shopify/linkIndex';
+
+const PAGE_SIZE = 2;
+
+const LISTS = {
+  blogs: [{ id: 1, handle: 'news' }],
+  'blogs/1/articles': ['a', 'b', 'c'].map(handle => ({ handle })),
+  pages: ['about', 'faq', 'contact', 'shipping', 'returns'].map(handle => ({ handle })),
+  products: [{ handle: 'linen-shirt' }],
+  custom_collections: [{ handle: 'summer' }],
+  smart_collections: [{ handle: 'sale' }],
+  redirects: [{ path: '/Old', target: '/pages/about' }]
+};
+
+const json = (body, headers = {}) => new Response(JSON.stringify(body), { headers });
+
+// Serves LISTS a few items at a time, linking to the next page the way the Admin API does.
+const fakeClient = ({ failing = [] } = {}) => {
+  const requests = [];
+  return {
+    requests,
+    async request(url) {
+      requests.push(url);
+      const { pathname, searchParams } = new URL(url, 'https://shop.test/admin/api/2025-07/');
+      const path = pathname.replace('/admin/api/2025-07/', '').replace(/\.json$/, '');
+
+      if (path === 'shop') {
+        return json({ shop: { domain: 'shop.example.com', myshopify_domain: 'shop.myshopify.com' } });
+      }
+      if (failing.includes(path)) return new Response('forbidden', { status: 403 });
+
+      const key = path.split('/').pop();
+      const offset = Number(searchParams.get('page_info') || 0);
+      const items = LISTS[path].slice(offset, offset + PAGE_SIZE);
+      const next = offset + PAGE_SIZE < LISTS[path].length
+        ? { link: `<https://shop.test/admin/api/2025-07/${path}.json?limit=250&page_info=${offset + PAGE_SIZE}>; rel="next"` }
+        : {};
+      return json({ [key]: items }, next);
+    }
+  };
+};
+
+describe('continueLinkIndex', () => {
+  it('builds the same index a page at a time as in one go', async () => {
+    const whole = startLinkIndex();
+    expect(await continueLinkIndex(fakeClient(), whole)).toBe(true);
+
+    const client = fakeClient();
+    const stepped = startLinkIndex();
+    let calls = 0;
+    do {
+      calls++;
+      // Round-trip through JSON the way a checkpoint does.
+      Object.assign(stepped, JSON.parse(JSON.stringify(stepped)));
+    } while (!await continueLinkIndex(client, stepped, { deadline: 0 }));
+
+    expect(stepped.index).toEqual(whole.index);
+    expect(calls).toBe(client.requests.length - 1);
+    expect(whole.index.handles.articles).toEqual(['news/a', 'news/b', 'news/c']);
+    expect(whole.index.handles.collections).toEqual(['summer', 'sale']);
+    expect(whole.index.redirects).toEqual({ '/old': '/pages/about' });
+    expect(countLinkTargets(whole.index)).toBe(12);
+  });
+
+  it('leaves out a group that cannot be loaded', async () => {
+    const state = startLinkIndex();
+    await continueLinkIndex(fakeClient({ failing: ['smart_collections', 'redirects'] }), state);
+
+    expect(state.index.handles.collections).toBeUndefined();
+    expect(state.index.handles.pages).toHaveLength(5);
+    expect(state.index.redirects).toEqual({});
+    expect(state.index.unavailable).toEqual([
+      'collections: Failed to fetch smart_collections (403)',
+      'redirects: Failed to fetch redirects (403)'
+    ]);
+  });
+});
@@ -0,0 +1,70 @@
+import { createHmac } from 'crypto';
+import http from 'http';
+
+// Plays Shopify's side of the install flow for SHOPIFY_OAUTH_URL. The authorize
+// step redirects straight back to the app with a signed code, as if the
+// merchant had approved, and the token step swaps that code for a token.
+export async function startOAuthStandIn({ apiKey, apiSecret, shop, accessToken = 'shpat_stand_in', scope = '' }) {
+  const codes = new Set();
+  const exchanges = [];
+
+  const sign = (params) => {
+    const message = new URLSearchParams(Object.keys(params).sort().map(key => [key, params[key]])).toString();
+    return { ...params, hmac: createHmac('sha256', apiSecret).update(message).digest('hex') };
+  };
+
+  const readBody = (req) => new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+    });
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://stand-in');
+
+    if (req.method === 'GET' && url.pathname === '/admin/oauth/authorize') {
+      const code = `code-${codes.size + 1}`;
+      codes.add(code);
+      const callback = new URL(url.searchParams.get('redirect_uri'));
+      const query = sign({
+        code,
+        shop,
+        state: url.searchParams.get('state'),
+        timestamp: String(Math.floor(Date.now() / 1000))
+      });
+      Object.entries(query).forEach(([key, value]) => callback.searchParams.set(key, value));
+
+      res.writeHead(302, { Location: callback.toString() });
+      return res.end();
+    }
+
+    if (req.method === 'POST' && url.pathname === '/admin/oauth/access_token') {
+      const body = JSON.parse(await readBody(req));
+      exchanges.push(body);
+
+      // Codes are single-use, like Shopify's.
+      if (body.client_id !== apiKey || body.client_secret !== apiSecret || !codes.delete(body.code)) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify({ error: 'invalid_request' }));
+      }
+
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({ access_token: accessToken, scope }));
+    }
+
+    res.writeHead(404);
+    return res.end();
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    exchanges,
+    sign,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
@@ -0,0 +1,115 @@
+import { mkdtempSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+import { SHOPS_COOKIE, connectedShops, loadSession } from '../lib/sessions';
+import { STATE_COOKIE, verifyHmac } from '../lib/shopify/oauth';
+import authHandler from '../pages/api/auth/index';
+import callbackHandler from '../pages/api/auth/callback';
+import { startOAuthStandIn } from './oauth-stand-in';
+
+const SHOP = 'demo.myshopify.com';
+let standIn;
+
+const call = (handler, req) => new Promise(resolve => {
+  const headers = {};
+  handler({ method: 'GET', headers: { host: 'app.test' }, query: {}, cookies: {}, ...req }, {
+    setHeader: (name, value) => {
+      headers[name] = [].concat(value);
+    },
+    redirect: (code, location) => resolve({ code, location, headers }),
+    status: (code) => ({ json: (body) => resolve({ code, body, headers }) })
+  });
+});
+
+const cookiesFrom = (headers) => Object.fromEntries(
+  (headers['Set-Cookie'] || []).map(cookie => cookie.split(';')[0].split(/=(.*)/s).slice(0, 2))
+);
+
+// Starts an install and lets the stand-in approve it; returns the callback query and the state cookie.
+const approveInstall = async () => {
+  const start = await call(authHandler, { query: { shop: SHOP } });
+  const approval = await fetch(start.location, { redirect: 'manual' });
+  const callback = new URL(approval.headers.get('location'));
+
+  return {
+    query: Object.fromEntries(callback.searchParams),
+    cookies: cookiesFrom(start.headers)
+  };
+};
+
+const authErrorOf = ({ location }) => new URL(location, 'http://app.test').searchParams.get('authError');
+
+beforeAll(async () => {
+  process.env.SHOPIFY_API_KEY = 'stand-in-key';
+  process.env.SHOPIFY_API_SECRET = 'stand-in-secret';
+  process.env.SESSION_SECRET = 'stand-in-session-secret';
+  process.env.SEO_FIXER_DATA_DIR = mkdtempSync(path.join(tmpdir(), 'seo-fixer-oauth-'));
+
+  standIn = await startOAuthStandIn({
+    apiKey: process.env.SHOPIFY_API_KEY,
+    apiSecret: process.env.SHOPIFY_API_SECRET,
+    shop: SHOP,
+    scope: 'read_content,write_content'
+  });
+  process.env.SHOPIFY_OAUTH_URL = standIn.url;
+});
+
+afterAll(() => standIn.close());
+
+describe('verifyHmac', () => {
+  it('accepts what the stand-in signs and rejects any change to it', () => {
+    const query = standIn.sign({ code: 'abc', shop: SHOP, state: 'xyz', timestamp: '1700000000' });
+
+    expect(verifyHmac(query, 'stand-in-secret')).toBe(true);
+    expect(verifyHmac({ ...query, shop: 'other.myshopify.com' }, 'stand-in-secret')).toBe(false);
+    expect(verifyHmac(query, 'another-secret')).toBe(false);
+    expect(verifyHmac({ ...query, hmac: undefined }, 'stand-in-secret')).toBe(false);
+  });
+});
+
+describe('install flow', () => {
+  it('stores the token and remembers the shop in this browser', async () => {
+    const { query, cookies } = await approveInstall();
+    const done = await call(callbackHandler, { query, cookies });
+
+    expect(done.location).toBe(`/?connected=${SHOP}`);
+    expect(standIn.exchanges.at(-1)).toMatchObject({ client_id: 'stand-in-key', code: query.code });
+    expect(await loadSession(SHOP)).toMatchObject({ shop: SHOP, accessToken: 'shpat_stand_in', scope: 'read_content,write_content' });
+    expect(connectedShops({ cookies: cookiesFrom(done.headers) })).toEqual([SHOP]);
+    expect(cookiesFrom(done.headers)[STATE_COOKIE]).toBe('');
+  });
+
+  it('refuses a callback whose signature does not match', async () => {
+    const { query, cookies } = await approveInstall();
+    const done = await call(callbackHandler, { query: { ...query, shop: 'evil.myshopify.com' }, cookies });
+
+    expect(authErrorOf(done)).toMatch(/signature does not match/);
+    expect(cookiesFrom(done.headers)[SHOPS_COOKIE]).toBeUndefined();
+  });
+
+  it('refuses a callback without the state cookie it started with', async () => {
+    const { query } = await approveInstall();
+    const other = await approveInstall();
+
+    expect(authErrorOf(await call(callbackHandler, { query, cookies: other.cookies }))).toMatch(/state does not match/);
+    expect(authErrorOf(await call(callbackHandler, { query }))).toMatch(/state does not match/);
+  });
+
+  it('refuses a callback signed too long ago', async () => {
+    const { query, cookies } = await approveInstall();
+    const { hmac, ...rest } = query;
+    const stale = standIn.sign({ ...rest, timestamp: String(Math.floor(Date.now() / 1000) - 3600) });
+
+    expect(authErrorOf(await call(callbackHandler, { query: stale, cookies }))).toMatch(/expired/);
+  });
+
+  it('reports a code the token endpoint will not exchange', async () => {
+    const { query, cookies } = await approveInstall();
+    await call(callbackHandler, { query, cookies });
+
+    // The code was used up by the first callback.
+    const replay = await call(callbackHandler, { query, cookies });
+    expect(authErrorOf(replay)).toMatch(/Failed to exchange the install code \(400\)/);
+  });
+});
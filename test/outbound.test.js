@@ -0,0 +1,76 @@
+import dns from 'dns';
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { OutboundRequestError, assertPublicHost, isPrivateAddress, safeFetch } from '../lib/outbound';
+
+const PUBLIC = { address: '23.227.38.32', family: 4 };
+
+// The up-front check and the socket's own lookup can be given different answers.
+const resolveTo = ({ checked, connected = checked }) => {
+  vi.spyOn(dns.promises, 'lookup').mockResolvedValue(checked);
+  vi.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) => {
+    const done = typeof options === 'function' ? options : callback;
+    return options.all ? done(null, connected) : done(null, connected[0].address, connected[0].family);
+  });
+};
+
+afterEach(() => {
+  vi.restoreAllMocks();
+  vi.unstubAllGlobals();
+});
+
+describe('isPrivateAddress', () => {
+  it.each([
+    '127.0.0.1', '10.0.0.1', '172.16.5.4', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+    '::1', '::', 'fe80::1', 'fd00::1',
+    '::ffff:10.0.0.1', '::ffff:a00:1', '0:0:0:0:0:ffff:7f00:1',
+    '::7f00:1', '::127.0.0.1', '::ffff:0:7f00:1', '2002:7f00:1::1', '2002:0808:0808::1',
+    'not-an-address'
+  ])('refuses %s', (address) => {
+    expect(isPrivateAddress(address)).toBe(true);
+  });
+
+  it.each(['23.227.38.32', '8.8.8.8', '::ffff:8.8.8.8', '2606:4700::1111'])('allows %s', (address) => {
+    expect(isPrivateAddress(address)).toBe(false);
+  });
+});
+
+describe('assertPublicHost', () => {
+  it('refuses IP literals and hosts with any private answer', async () => {
+    await expect(assertPublicHost('127.0.0.1')).rejects.toThrow(OutboundRequestError);
+
+    resolveTo({ checked: [PUBLIC, { address: '10.0.0.1', family: 4 }] });
+    await expect(assertPublicHost('mixed.example.test')).rejects.toThrow(/private or loopback/);
+  });
+});
+
+describe('safeFetch', () => {
+  it('refuses plain HTTP', async () => {
+    await expect(safeFetch('http://shop.example.test/')).rejects.toThrow(/non-HTTPS/);
+  });
+
+  it('follows redirects on the same host but refuses one to another host', async () => {
+    resolveTo({ checked: [PUBLIC] });
+    const fetch = vi.fn()
+      .mockResolvedValueOnce(new Response(null, { status: 301, headers: { location: '/moved' } }))
+      .mockResolvedValueOnce(new Response(null, { status: 302, headers: { location: 'https://169.254.169.254/latest' } }));
+    vi.stubGlobal('fetch', fetch);
+
+    await expect(safeFetch('https://redirect.example.test/start')).rejects.toThrow(
+      'Refusing a redirect from redirect.example.test to 169.254.169.254'
+    );
+    expect(fetch.mock.calls.map(([url]) => String(url))).toEqual([
+      'https://redirect.example.test/start',
+      'https://redirect.example.test/moved'
+    ]);
+    expect(fetch.mock.calls[0][1]).toMatchObject({ redirect: 'manual', dispatcher: expect.anything() });
+  });
+
+  it('refuses a host whose address changes to a private one between the check and the connection', async () => {
+    resolveTo({ checked: [PUBLIC], connected: [{ address: '127.0.0.1', family: 4 }] });
+
+    await expect(safeFetch('https://rebind.example.test/')).rejects.toThrow(
+      new OutboundRequestError('rebind.example.test resolves to a private or loopback address')
+    );
+    expect(dns.lookup).toHaveBeenCalledWith('rebind.example.test', expect.anything(), expect.any(Function));
+  });
+});
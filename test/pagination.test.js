@@ -0,0 +1,59 @@
+import { describe, expect, it, vi } from 'vitest';
+import { fetchAll, fetchPage, parseNextLink } from '../lib/shopify/pagination';
+
+const BASE = 'https://shop.myshopify.com/admin/api/2025-07';
+
+const link = (rel, pageInfo) => `<${BASE}/blogs/1/articles.json?limit=2&page_info=${pageInfo}>; rel="${rel}"`;
+
+describe('parseNextLink', () => {
+  it('picks the next link out of a Link header', () => {
+    expect(parseNextLink(link('next', 'abc'))).toBe(`${BASE}/blogs/1/articles.json?limit=2&page_info=abc`);
+    expect(parseNextLink(`${link('previous', 'xyz')}, ${link('next', 'abc')}`)).toContain('page_info=abc');
+  });
+
+  it('returns null on the last page', () => {
+    expect(parseNextLink(link('previous', 'xyz'))).toBeNull();
+    expect(parseNextLink('')).toBeNull();
+    expect(parseNextLink(null)).toBeNull();
+  });
+
+  it('accepts an unquoted rel and any spacing', () => {
+    expect(parseNextLink(`<${BASE}/pages.json?page_info=abc>;rel=next`)).toBe(`${BASE}/pages.json?page_info=abc`);
+  });
+});
+
+// Serves articles two to a page, linking each page to the next.
+const shop = (articles) => ({
+  request: vi.fn(async (url) => {
+    const page = Number(new URL(url, `${BASE}/`).searchParams.get('page_info') || 0);
+    const headers = (page + 1) * 2 < articles.length ? { link: link('next', page + 1) } : {};
+    return new Response(JSON.stringify({ articles: articles.slice(page * 2, page * 2 + 2) }), { headers });
+  })
+});
+
+describe('fetchPage', () => {
+  it('returns the items and the next page URL', async () => {
+    const client = shop([{ id: 1 }, { id: 2 }, { id: 3 }]);
+
+    expect(await fetchPage(client, 'blogs/1/articles.json?limit=2', 'articles')).toEqual({
+      items: [{ id: 1 }, { id: 2 }],
+      nextUrl: `${BASE}/blogs/1/articles.json?limit=2&page_info=1`
+    });
+  });
+
+  it('throws on an error response', async () => {
+    const client = { request: vi.fn(async () => new Response('{}', { status: 404 })) };
+
+    await expect(fetchPage(client, 'blogs/9/articles.json', 'articles')).rejects.toThrow(/fetch articles/);
+  });
+});
+
+describe('fetchAll', () => {
+  it('follows the links until the last page', async () => {
+    const articles = Array.from({ length: 5 }, (_, i) => ({ id: i + 1 }));
+    const client = shop(articles);
+
+    expect(await fetchAll(client, 'blogs/1/articles.json?limit=2', 'articles')).toEqual(articles);
+    expect(client.request).toHaveBeenCalledTimes(3);
+  });
+});
@@ -0,0 +1,25 @@
+import { describe, expect, it } from 'vitest';
+import { analyzeArticle } from '../lib/seo/analyzer';
+
+const SHORT = '<p>Soft linen shirt with a relaxed fit.</p>';
+
+const thin = (item, options = {}) =>
+  analyzeArticle({ title: 'Linen shirt', body_html: SHORT, ...item }, { rules: ['thin_content'], options }).thin_content;
+
+describe('thin_content', () => {
+  it('flags short blog posts and pages', () => {
+    expect(thin({ resourceType: 'articles' })).toEqual(['7 words (minimum 300)']);
+    expect(thin({ resourceType: 'pages' })).toHaveLength(1);
+    expect(thin({})).toHaveLength(1);
+  });
+
+  it('leaves product and collection descriptions alone', () => {
+    expect(thin({ resourceType: 'products' })).toEqual([]);
+    expect(thin({ resourceType: 'custom_collections' })).toEqual([]);
+    expect(thin({ resourceType: 'smart_collections' })).toEqual([]);
+  });
+
+  it('uses the threshold from the options', () => {
+    expect(thin({ resourceType: 'articles' }, { thinContentWords: 5 })).toEqual([]);
+  });
+});
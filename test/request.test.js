@@ -0,0 +1,119 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { safeFetch } from '../lib/outbound';
+import { createScheduler, isIdempotent, parseCallLimit, parseRetryAfter } from '../lib/shopify/request';
+
+vi.mock('../lib/outbound', () => ({
+  OutboundRequestError: class OutboundRequestError extends Error {},
+  safeFetch: vi.fn()
+}));
+
+const REST = 'https://shop.myshopify.com/admin/api/2025-07/articles/1.json';
+const GRAPHQL = 'https://shop.myshopify.com/admin/api/2025-07/graphql.json';
+
+const graphql = (query) => ({ method: 'POST', body: JSON.stringify({ query, variables: {} }) });
+
+const reply = (status, headers = {}) => new Response(status === 204 ? null : '{}', { status, headers });
+
+// Answers each call with the next status (or throws it if it is an Error) and counts the calls.
+const answer = (...outcomes) => {
+  safeFetch.mockReset();
+  outcomes.forEach(outcome => {
+    safeFetch.mockImplementationOnce(async () => {
+      if (outcome instanceof Error) throw outcome;
+      return typeof outcome === 'number' ? reply(outcome) : outcome;
+    });
+  });
+};
+
+beforeEach(() => {
+  vi.useFakeTimers();
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+// Runs a request while letting the backoff timers fire.
+const send = async (url, options) => {
+  const scheduler = createScheduler({ maxRetries: 3 });
+  const pending = scheduler.request(url, options).then(
+    response => ({ status: response.status }),
+    error => ({ error: error.message })
+  );
+  await vi.runAllTimersAsync();
+  return pending;
+};
+
+describe('isIdempotent', () => {
+  it('treats reads, PUT and DELETE as safe to send again', () => {
+    expect(isIdempotent(REST)).toBe(true);
+    expect(isIdempotent(REST, { method: 'PUT' })).toBe(true);
+    expect(isIdempotent(REST, { method: 'DELETE' })).toBe(true);
+    expect(isIdempotent(REST, { method: 'POST' })).toBe(false);
+  });
+
+  it('treats GraphQL queries as reads and mutations as writes', () => {
+    expect(isIdempotent(GRAPHQL, graphql('{ shop { name } }'))).toBe(true);
+    expect(isIdempotent(GRAPHQL, graphql('query Nodes($ids: [ID!]!) { nodes(ids: $ids) { id } }'))).toBe(true);
+    expect(isIdempotent(GRAPHQL, graphql('mutation Batch { m0: articleUpdate { userErrors { message } } }'))).toBe(false);
+    expect(isIdempotent(GRAPHQL, { method: 'POST', body: 'not json' })).toBe(false);
+  });
+});
+
+describe('createScheduler', () => {
+  it('retries a 5xx on reads, PUTs and GraphQL queries', async () => {
+    for (const [url, options] of [[REST, {}], [REST, { method: 'PUT' }], [GRAPHQL, graphql('{ shop { id } }')]]) {
+      answer(502, 503, 200);
+      expect(await send(url, options)).toEqual({ status: 200 });
+      expect(safeFetch).toHaveBeenCalledTimes(3);
+    }
+  });
+
+  it('does not retry a 5xx or a dropped connection on a REST POST or a mutation', async () => {
+    answer(502, 200);
+    expect(await send(REST, { method: 'POST' })).toEqual({ status: 502 });
+
+    answer(new Error('socket hang up'), 200);
+    expect(await send(GRAPHQL, graphql('mutation { x }'))).toEqual({ error: 'socket hang up' });
+    expect(safeFetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('retries a dropped connection on a read', async () => {
+    answer(new Error('socket hang up'), 200);
+    expect(await send(REST, {})).toEqual({ status: 200 });
+  });
+
+  it('retries a 429 on any request, waiting as long as Retry-After says', async () => {
+    answer(reply(429, { 'Retry-After': '2' }), 201);
+    const scheduler = createScheduler();
+    const started = Date.now();
+    const pending = scheduler.request(REST, { method: 'POST' });
+
+    await vi.advanceTimersByTimeAsync(1999);
+    expect(safeFetch).toHaveBeenCalledTimes(1);
+    await vi.advanceTimersByTimeAsync(1);
+
+    expect((await pending).status).toBe(201);
+    expect(Date.now() - started).toBe(2000);
+  });
+
+  it('gives up after the retry limit and returns the last response', async () => {
+    answer(500, 500, 500, 500, 500);
+    expect(await send(REST, {})).toEqual({ status: 500 });
+    expect(safeFetch).toHaveBeenCalledTimes(4);
+  });
+});
+
+describe('header parsing', () => {
+  it('reads Retry-After as seconds or a date', () => {
+    vi.setSystemTime(new Date('2025-01-01T00:00:00Z'));
+    expect(parseRetryAfter('1.5')).toBe(1500);
+    expect(parseRetryAfter('Wed, 01 Jan 2025 00:00:03 GMT')).toBe(3000);
+    expect(parseRetryAfter(null)).toBeNull();
+  });
+
+  it('reads the REST call limit header', () => {
+    expect(parseCallLimit('32/40')).toEqual({ used: 32, max: 40 });
+    expect(parseCallLimit('nonsense')).toBeNull();
+  });
+});
@@ -0,0 +1,208 @@
+import { mkdtempSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { previewFingerprint } from '../lib/diff';
+import { createJob, loadResults, runJobChunk } from '../lib/jobs/runner';
+import { createMemoryStore, jobAttachments } from '../lib/jobs/store';
+import { safeFetch } from '../lib/outbound';
+import { shopifyFetch } from '../lib/shopify/request';
+
+vi.mock('../lib/shopify/request', () => ({ shopifyFetch: vi.fn() }));
+vi.mock('../lib/outbound', () => ({
+  OutboundRequestError: class OutboundRequestError extends Error {},
+  safeFetch: vi.fn()
+}));
+
+const SHOP = 'shop.myshopify.com';
+const REQUEST_MS = 1000;
+
+const page = (id) => ({
+  id,
+  title: id === 3 || id === 28 ? 'Shipping' : `Page ${id}`,
+  handle: `page-${id}`,
+  body_html: id % 2 ? `<h1>Page ${id}</h1><p>Text</p>` : '<p>Text</p>'
+});
+
+// Two pages of pages.json, linked by a Link header. Every request moves the clock
+// on by a second, so a short chunk budget runs out part way through a page.
+const serveShop = () => {
+  shopifyFetch.mockImplementation(async (url) => {
+    vi.advanceTimersByTime(REQUEST_MS);
+    const second = url.includes('page_info=2');
+    const ids = second ? [26, 27, 28, 29, 30] : Array.from({ length: 25 }, (_, i) => i + 1);
+    const headers = second ? {} : { link: `<https://${SHOP}/admin/api/2025-07/pages.json?limit=50&page_info=2>; rel="next"` };
+    return new Response(JSON.stringify({ pages: ids.map(page) }), { headers });
+  });
+};
+
+// Runs chunks the way /api/shopify/process does until the job finishes.
+const runToEnd = async (job, store, budget) => {
+  const attachments = jobAttachments(store, job.id);
+  let chunks = 0;
+  let current = job;
+
+  while (true) {
+    chunks++;
+    const finished = await runJobChunk(current, {
+      accessToken: 'shpat_test',
+      deadline: Date.now() + budget,
+      sendUpdate: () => {},
+      save: (saved) => store.put(saved),
+      attachments
+    });
+    await store.put(current);
+    if (finished) break;
+    // A new invocation starts from what was saved, not from objects in memory.
+    current = await store.get(job.id);
+  }
+
+  current.status = 'completed';
+  return { chunks, job: current, results: await loadResults(current, attachments) };
+};
+
+beforeEach(() => {
+  vi.useFakeTimers({ toFake: ['Date'] });
+  shopifyFetch.mockReset();
+  serveShop();
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.unstubAllEnvs();
+});
+
+describe('runJobChunk', () => {
+  const scan = () => createJob({ store: SHOP, mode: 'scan', limit: 100, resourceTypes: ['pages'], rules: ['content_h1', 'duplicate_titles'] });
+
+  it('resumes across chunks without skipping or repeating items', async () => {
+    const store = createMemoryStore();
+    const { chunks, results } = await runToEnd(scan(), store, REQUEST_MS / 2);
+
+    expect(chunks).toBeGreaterThan(3);
+    expect(results.items.map(item => item.resourceId)).toEqual(Array.from({ length: 30 }, (_, i) => i + 1));
+    expect(results.items.find(item => item.resourceId === 5).issues.content_h1).toEqual(['Page 5']);
+  });
+
+  it('gives the same results as a single chunk, store-wide rules included', async () => {
+    const chunked = await runToEnd(scan(), createMemoryStore(), REQUEST_MS / 2);
+    const single = await runToEnd(scan(), createMemoryStore(), 60 * REQUEST_MS);
+
+    expect(single.chunks).toBe(1);
+    expect(chunked.results.items).toEqual(single.results.items);
+    expect(chunked.results.groups).toEqual(single.results.groups);
+
+    const shared = chunked.results.items.filter(item => item.issues.duplicate_titles?.length > 0);
+    expect(shared.map(item => item.resourceId)).toEqual([3, 28]);
+  });
+
+  it('keeps the items out of the job record', async () => {
+    const store = createMemoryStore();
+    const { job } = await runToEnd(scan(), store, REQUEST_MS / 2);
+
+    expect(job.processed).toBe(30);
+    expect(job.itemPages).toBeGreaterThan(1);
+    expect(JSON.stringify(job)).not.toContain('Page 1');
+  });
+
+  it('has no results before the job completes', async () => {
+    const store = createMemoryStore();
+    const job = scan();
+    await runJobChunk(job, {
+      accessToken: 'shpat_test',
+      deadline: Date.now() + REQUEST_MS / 2,
+      sendUpdate: () => {},
+      save: (saved) => store.put(saved),
+      attachments: jobAttachments(store, job.id)
+    });
+
+    expect(await loadResults({ ...job, status: 'paused' }, jobAttachments(store, job.id))).toBeNull();
+  });
+});
+
+describe('applying approved previews', () => {
+  // Two pages with an H1 each, which content_h1 demotes. Writes go to `bodies`.
+  const serveEditableShop = (bodies) => {
+    shopifyFetch.mockImplementation(async (url, { method = 'GET', body } = {}) => {
+      const id = Number(url.match(/pages\/(\d+)\.json/)?.[1]);
+      const toPage = (pageId) => ({ id: pageId, title: `Page ${pageId}`, handle: `page-${pageId}`, body_html: bodies[pageId] });
+
+      if (method === 'PUT') bodies[id] = JSON.parse(body).page.body_html;
+      if (id) return new Response(JSON.stringify({ page: toPage(id) }));
+      return new Response(JSON.stringify({ pages: Object.keys(bodies).map(Number).map(toPage) }));
+    });
+  };
+
+  const job = (mode, extra) => createJob({ store: SHOP, mode, resourceTypes: ['pages'], rules: ['content_h1'], ...extra });
+
+  it('writes an approved change but skips an item edited since its preview', async () => {
+    vi.stubEnv('SEO_FIXER_DATA_DIR', mkdtempSync(path.join(tmpdir(), 'seo-fixer-runner-')));
+    const bodies = { 1: '<h1>Care</h1><p>Wash cold.</p>', 2: '<h1>Sizing</h1><p>Runs small.</p>' };
+    serveEditableShop(bodies);
+
+    const { results: preview } = await runToEnd(job('dry-run'), createMemoryStore(), 60 * REQUEST_MS);
+    const approvedChanges = Object.fromEntries(preview.items.map(item => [item.key, previewFingerprint(item)]));
+
+    bodies[2] = '<h1>Sizing guide</h1><p>Runs small.</p>';
+    shopifyFetch.mockClear();
+    const { results } = await runToEnd(
+      job('fix', { resourceKeys: Object.keys(approvedChanges), approvedChanges }),
+      createMemoryStore(),
+      60 * REQUEST_MS
+    );
+
+    expect(results.items.map(item => [item.key, item.status])).toEqual([
+      ['pages:1', 'Fixed'],
+      ['pages:2', 'Changed Since Preview']
+    ]);
+    const writes = shopifyFetch.mock.calls.filter(([, options]) => options?.method === 'PUT');
+    expect(writes.map(([url]) => url)).toEqual([`https://${SHOP}/admin/api/2025-07/pages/1.json`]);
+    expect(bodies[1]).toBe(preview.items[0].preview.proposed);
+    expect(bodies[2]).toBe('<h1>Sizing guide</h1><p>Runs small.</p>');
+  });
+});
+
+describe('bulk runs', () => {
+  const RESULTS_URL = 'https://storage.example.test/bulk-1.jsonl';
+  const jsonl = new TextEncoder().encode(Array.from({ length: 30 }, (_, i) => JSON.stringify({
+    id: `gid://shopify/Page/${i + 1}`,
+    title: `Page ${i + 1}`,
+    handle: `page-${i + 1}`,
+    body: '<h1>Heading</h1><p>Text</p>'
+  })).join('\n') + '\n');
+
+  // The export finishes straight away; downloading the file costs a second like any request.
+  const serveBulkExport = () => {
+    shopifyFetch.mockImplementation(async (url, { body }) => {
+      vi.advanceTimersByTime(REQUEST_MS);
+      const { query } = JSON.parse(body);
+      const operation = { id: 'gid://shopify/BulkOperation/1', status: 'COMPLETED', objectCount: '30', url: RESULTS_URL };
+      const data = query.includes('bulkOperationRunQuery')
+        ? { bulkOperationRunQuery: { bulkOperation: { ...operation, status: 'CREATED' }, userErrors: [] } }
+        : { node: operation };
+      return new Response(JSON.stringify({ data }));
+    });
+
+    safeFetch.mockImplementation(async (url, { headers } = {}) => {
+      vi.advanceTimersByTime(REQUEST_MS);
+      const start = Number(headers?.Range?.match(/^bytes=(\d+)-$/)[1] ?? 0);
+      if (start >= jsonl.length) return new Response(null, { status: 416 });
+      return new Response(jsonl.slice(start), { status: start ? 206 : 200 });
+    });
+  };
+
+  it('resumes the result file where the last chunk stopped', async () => {
+    serveBulkExport();
+    const job = createJob({ store: SHOP, mode: 'dry-run', bulk: true, limit: 100, resourceTypes: ['pages'], rules: ['content_h1'] });
+
+    const { chunks, results } = await runToEnd(job, createMemoryStore(), REQUEST_MS / 2);
+
+    expect(chunks).toBe(4);
+    expect(results.items.map(item => item.resourceId)).toEqual(Array.from({ length: 30 }, (_, i) => i + 1));
+    expect(shopifyFetch.mock.calls.filter(([, { body }]) => body.includes('bulkOperationRunQuery'))).toHaveLength(1);
+
+    const ranges = safeFetch.mock.calls.map(([, options]) => options.headers?.Range);
+    const lineEnd = (line) => Buffer.from(jsonl).indexOf('\n', Buffer.from(jsonl).indexOf(`Page/${line}"`)) + 1;
+    expect(ranges).toEqual([undefined, `bytes=${lineEnd(10)}-`, `bytes=${lineEnd(20)}-`, `bytes=${jsonl.length}-`]);
+  });
+});
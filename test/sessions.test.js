@@ -0,0 +1,102 @@
+import { mkdtempSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { beforeAll, describe, expect, it } from 'vitest';
+import {
+  SHOPS_COOKIE,
+  connectedShops,
+  resolveAccessToken,
+  saveSession,
+  shopsCookie
+} from '../lib/sessions';
+import sessionsHandler from '../pages/api/auth/sessions';
+
+const cookieValue = (header) => header.split(';')[0].slice(SHOPS_COOKIE.length + 1);
+
+const browserWith = (shops) => ({ cookies: { [SHOPS_COOKIE]: cookieValue(shopsCookie(shops)) } });
+
+const call = (handler, req) => new Promise(resolve => {
+  const res = {
+    headers: {},
+    setHeader(name, value) {
+      this.headers[name] = value;
+    },
+    status: (code) => ({ json: (body) => resolve({ code, body, headers: res.headers }) })
+  };
+  handler({ query: {}, cookies: {}, ...req }, res);
+});
+
+beforeAll(async () => {
+  process.env.SESSION_SECRET = 'test-secret';
+  process.env.SEO_FIXER_DATA_DIR = mkdtempSync(path.join(tmpdir(), 'seo-fixer-sessions-'));
+  await saveSession({ shop: 'a.myshopify.com', accessToken: 'token-a', scope: 'read_content' });
+  await saveSession({ shop: 'b.myshopify.com', accessToken: 'token-b', scope: 'read_content' });
+});
+
+describe('connected shops cookie', () => {
+  it('reads back the shops it was signed with', () => {
+    expect(connectedShops(browserWith(['b.myshopify.com', 'a.myshopify.com'])))
+      .toEqual(['a.myshopify.com', 'b.myshopify.com']);
+  });
+
+  it('ignores a cookie that was edited or signed with another secret', () => {
+    const [, signature] = cookieValue(shopsCookie(['a.myshopify.com'])).split('.');
+    const forged = Buffer.from(JSON.stringify(['b.myshopify.com'])).toString('base64url');
+
+    expect(connectedShops({ cookies: { [SHOPS_COOKIE]: `${forged}.${signature}` } })).toEqual([]);
+    expect(connectedShops({ cookies: { [SHOPS_COOKIE]: 'garbage' } })).toEqual([]);
+    expect(connectedShops({})).toEqual([]);
+  });
+
+  it('is HttpOnly and only Secure when asked', () => {
+    expect(shopsCookie([])).toMatch(/; HttpOnly; SameSite=Lax;/);
+    expect(shopsCookie([])).not.toMatch(/Secure/);
+    expect(shopsCookie([], { secure: true })).toMatch(/; Secure$/);
+  });
+});
+
+describe('resolveAccessToken', () => {
+  it('falls back to a stored token only for shops the browser connected', async () => {
+    const browser = browserWith(['a.myshopify.com']);
+
+    expect(await resolveAccessToken('a.myshopify.com', '', browser)).toBe('token-a');
+    expect(await resolveAccessToken('b.myshopify.com', '', browser)).toBeNull();
+    expect(await resolveAccessToken('a.myshopify.com', '', {})).toBeNull();
+  });
+
+  it('prefers a pasted token', async () => {
+    expect(await resolveAccessToken('b.myshopify.com', 'pasted', {})).toBe('pasted');
+  });
+});
+
+describe('/api/auth/sessions', () => {
+  it('lists only the shops this browser connected', async () => {
+    const { code, body } = await call(sessionsHandler, { method: 'GET', ...browserWith(['a.myshopify.com']) });
+
+    expect(code).toBe(200);
+    expect(body.stores.map(store => store.shop)).toEqual(['a.myshopify.com']);
+  });
+
+  it('refuses to disconnect a shop this browser did not connect', async () => {
+    const { code } = await call(sessionsHandler, {
+      method: 'DELETE',
+      query: { shop: 'b.myshopify.com' },
+      ...browserWith(['a.myshopify.com'])
+    });
+
+    expect(code).toBe(403);
+    expect(await resolveAccessToken('b.myshopify.com', '', browserWith(['b.myshopify.com']))).toBe('token-b');
+  });
+
+  it('disconnects a shop and drops it from the cookie', async () => {
+    const { code, headers } = await call(sessionsHandler, {
+      method: 'DELETE',
+      query: { shop: 'a.myshopify.com' },
+      ...browserWith(['a.myshopify.com', 'b.myshopify.com'])
+    });
+
+    expect(code).toBe(200);
+    expect(connectedShops({ cookies: { [SHOPS_COOKIE]: cookieValue(headers['Set-Cookie']) } })).toEqual(['b.myshopify.com']);
+    expect(await resolveAccessToken('a.myshopify.com', '', browserWith(['a.myshopify.com']))).toBeNull();
+  });
+});
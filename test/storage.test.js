@@ -0,0 +1,117 @@
+import { mkdtempSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import {
+  StorageError,
+  deleteRecord,
+  listCollections,
+  listRecords,
+  readRecord,
+  writeRecord
+} from '../lib/storage';
+
+// Answers the Upstash REST pipeline with just the commands storage.js sends.
+const fakeKv = () => {
+  const strings = new Map();
+  const sets = new Map();
+  const set = (key) => sets.get(key) || sets.set(key, new Set()).get(key);
+
+  const run = ([command, key, ...args]) => {
+    switch (command) {
+      case 'SET': strings.set(key, args[0]); return 'OK';
+      case 'GET': return strings.get(key) ?? null;
+      case 'DEL': return Number(strings.delete(key));
+      case 'SADD': return args.filter(member => !set(key).has(member) && set(key).add(member)).length;
+      case 'SREM': return args.filter(member => set(key).delete(member)).length;
+      case 'SMEMBERS': return [...set(key)];
+      default: return undefined;
+    }
+  };
+
+  const fetch = vi.fn(async (url, { headers, body }) => {
+    if (headers.Authorization !== 'Bearer kv-token') return new Response('Unauthorized', { status: 401 });
+    return Response.json(JSON.parse(body).map(command => {
+      const result = run(command);
+      return result === undefined ? { error: `ERR unknown command '${command[0]}'` } : { result };
+    }));
+  });
+  return { fetch, strings };
+};
+
+// The same behaviour is expected of both backends.
+const backends = {
+  files: () => {
+    vi.stubEnv('SEO_FIXER_DATA_DIR', mkdtempSync(path.join(tmpdir(), 'seo-fixer-storage-')));
+  },
+  kv: () => {
+    vi.stubEnv('KV_REST_API_URL', 'https://kv.example.test/');
+    vi.stubEnv('KV_REST_API_TOKEN', 'kv-token');
+    vi.stubGlobal('fetch', fakeKv().fetch);
+  }
+};
+
+afterEach(() => {
+  vi.unstubAllEnvs();
+  vi.unstubAllGlobals();
+});
+
+describe.each(Object.keys(backends))('%s storage', (name) => {
+  it('writes, reads, lists and deletes records', async () => {
+    backends[name]();
+    const run = ['backups', 'shop.myshopify.com', 'run-1'];
+
+    await writeRecord([...run, 'articles:1'], { title: 'A' });
+    await writeRecord([...run, 'pages/2'], { title: 'B' });
+    await writeRecord(['backups', 'shop.myshopify.com', 'run-2', 'articles:3'], { title: 'C' });
+
+    expect(await readRecord([...run, 'pages/2'])).toEqual({ title: 'B' });
+    expect(await readRecord([...run, 'missing'])).toBeNull();
+    expect((await listRecords(run)).sort()).toEqual(['articles:1', 'pages/2']);
+    expect((await listCollections(['backups', 'shop.myshopify.com'])).sort()).toEqual(['run-1', 'run-2']);
+    expect(await listRecords(['backups', 'other.myshopify.com'])).toEqual([]);
+
+    expect(await deleteRecord([...run, 'articles:1'])).toBe(true);
+    expect(await deleteRecord([...run, 'articles:1'])).toBe(false);
+    expect(await listRecords(run)).toEqual(['pages/2']);
+  });
+
+  it('overwrites a record in place', async () => {
+    backends[name]();
+
+    await writeRecord(['jobs', 'job-1'], { status: 'running' });
+    await writeRecord(['jobs', 'job-1'], { status: 'completed' });
+
+    expect(await readRecord(['jobs', 'job-1'])).toEqual({ status: 'completed' });
+    expect(await listRecords(['jobs'])).toEqual(['job-1']);
+  });
+});
+
+describe('storage selection', () => {
+  it('uses the Upstash variable names too', async () => {
+    vi.stubEnv('UPSTASH_REDIS_REST_URL', 'https://kv.example.test');
+    vi.stubEnv('UPSTASH_REDIS_REST_TOKEN', 'kv-token');
+    const kv = fakeKv();
+    vi.stubGlobal('fetch', kv.fetch);
+
+    await writeRecord(['sessions', 'shop.myshopify.com'], { scope: 'read_content' });
+
+    expect(kv.fetch).toHaveBeenCalledWith('https://kv.example.test/pipeline', expect.anything());
+    expect(kv.strings.get('seo-fixer:record:sessions/shop.myshopify.com')).toBe('{"scope":"read_content"}');
+  });
+
+  it('refuses to fall back to the read-only deployment on Vercel', async () => {
+    vi.stubEnv('VERCEL', '1');
+    vi.stubEnv('SEO_FIXER_DATA_DIR', '');
+
+    await expect(writeRecord(['jobs', 'job-1'], {})).rejects.toThrow(StorageError);
+    await expect(readRecord(['jobs', 'job-1'])).rejects.toThrow(/KV_REST_API_URL/);
+  });
+
+  it('reports KV errors as storage errors', async () => {
+    backends.kv();
+    vi.stubEnv('KV_REST_API_TOKEN', 'wrong');
+
+    await expect(readRecord(['jobs', 'job-1'])).rejects.toThrow('KV store request failed (401): Unauthorized');
+  });
+});